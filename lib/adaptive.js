@@ -0,0 +1,52 @@
+// lib/adaptive.js – "Adaptive" difficulty that follows the student
+//
+// An adaptive session keeps its current level in state.difficulty. After each
+// scored round the level is re-checked against the student's last few rounds
+// at that level:
+//   - average meter ≤ 35 (the student is clearly beating the bar) → one step up
+//   - average meter ≥ 65 (the AI is clearly ahead)                 → one step down
+// The meter already compares rubric quality with the level's bar (see
+// lib/rubric.js), so this moves the student toward a level where debates are
+// close. A new adaptive session starts where the student's last one ended.
+import { DIFFICULTY_CURVE } from './rubric.js';
+
+export const ADAPTIVE = "Adaptive";
+export const DIFFICULTY_LADDER = Object.keys(DIFFICULTY_CURVE);   // easiest → hardest
+
+const START_LEVEL = "Normal";
+const WINDOW = 2;                          // rounds at the current level that decide a move
+const STEP = { up: 35, down: 65 };         // average meter thresholds
+
+export const isAdaptive = settings => settings?.difficulty === ADAPTIVE;
+
+// The level a turn is played at: state.difficulty for adaptive sessions
+export function effectiveDifficulty(session) {
+  if (!isAdaptive(session.settings)) return session.settings.difficulty;
+  return session.state.difficulty || START_LEVEL;
+}
+
+// Level for the next round given the turns so far; returns { difficulty, changed, direction }
+export function nextDifficulty(current, turns) {
+  const recent = turns
+    .filter(t => t.status === "ok" && t.effective_difficulty === current && typeof t.hud_meter === "number")
+    .slice(-WINDOW);
+  const stay = { difficulty: current, changed: false, direction: null };
+  if (recent.length < WINDOW) return stay;
+
+  const meter = recent.reduce((a, t) => a + t.hud_meter, 0) / recent.length;
+  const i = DIFFICULTY_LADDER.indexOf(current);
+  if (meter <= STEP.up && i < DIFFICULTY_LADDER.length - 1) {
+    return { difficulty: DIFFICULTY_LADDER[i + 1], changed: true, direction: "up" };
+  }
+  if (meter >= STEP.down && i > 0) {
+    return { difficulty: DIFFICULTY_LADDER[i - 1], changed: true, direction: "down" };
+  }
+  return stay;
+}
+
+// Starting level for a new adaptive session from the student's earlier
+// sessions (newest first): where the last adaptive one ended, else Normal.
+export function seedDifficulty(previousSessions) {
+  const last = previousSessions.find(s => isAdaptive(s.settings) && s.state?.difficulty);
+  return DIFFICULTY_LADDER.includes(last?.state.difficulty) ? last.state.difficulty : START_LEVEL;
+}
@@ -0,0 +1,68 @@
+// lib/alerts.js – safety alerts raised during debates (data/alerts.json)
+//
+// An alert record:
+// {
+//   id, created_ts, category, term,
+//   session_id, round, student: { first_name, last_initial, grade },
+//   excerpt,                                   // what the student wrote
+//   acknowledged, acknowledged_ts, acknowledged_by, note
+// }
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export function createAlertStore(filePath) {
+  let alerts = [];
+
+  function save() {
+    fs.writeFileSync(filePath, JSON.stringify(alerts, null, 2));
+  }
+
+  if (fs.existsSync(filePath)) {
+    alerts = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    save();
+  }
+
+  return {
+    // Newest first; open alerts only unless includeAcknowledged
+    list({ includeAcknowledged = false } = {}) {
+      return alerts
+        .filter(a => includeAcknowledged || !a.acknowledged)
+        .sort((a, b) => b.created_ts.localeCompare(a.created_ts));
+    },
+    get(id) {
+      return alerts.find(a => a.id === id) || null;
+    },
+    create({ category, term, session_id, round, student, excerpt }) {
+      const alert = {
+        id: crypto.randomBytes(6).toString('hex'),
+        created_ts: new Date().toISOString(),
+        category,
+        term,
+        session_id,
+        round,
+        student,
+        excerpt: (excerpt || "").slice(0, 1000),
+        acknowledged: false,
+        acknowledged_ts: null,
+        acknowledged_by: null,
+        note: ""
+      };
+      alerts.push(alert);
+      save();
+      return alert;
+    },
+    acknowledge(id, { by = "", note = "" } = {}) {
+      const alert = this.get(id);
+      if (!alert) return null;
+      alert.acknowledged = true;
+      alert.acknowledged_ts = new Date().toISOString();
+      alert.acknowledged_by = by.toString().slice(0, 80);
+      alert.note = note.toString().slice(0, 1000);
+      save();
+      return alert;
+    }
+  };
+}
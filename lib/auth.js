@@ -0,0 +1,196 @@
+// lib/auth.js – teacher/admin accounts (data/users.json), login sessions and
+// student session tokens
+//
+// A user record:
+// {
+//   id, username, role,                        // role "teacher" | "admin"
+//   password_hash,                             // "scrypt$<salt hex>$<hash hex>"
+//   created_ts
+// }
+// Teachers see only their own classes and those classes' sessions; admins see
+// everything and manage accounts.
+//
+// Login sessions are kept in memory: restarting the server logs everyone out.
+// Students don't log in; /api/session/start hands them a token (an HMAC of the
+// session id) that the debate endpoints check instead.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const ROLES = ["teacher", "admin"];
+
+const PASSWORD_MIN = 8;
+const SCRYPT_KEYLEN = 32;
+const LOGIN_TTL_MS = 12 * 60 * 60 * 1000;               // 12 h, extended on use
+const LOCKOUT = { attempts: 5, ms: 5 * 60 * 1000 };     // per username
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// What the API returns for a user (never the hash)
+export function publicUser(user) {
+  return user ? { id: user.id, username: user.username, role: user.role, created_ts: user.created_ts } : null;
+}
+
+function checkPassword(password) {
+  if (typeof password !== "string" || password.length < PASSWORD_MIN) {
+    return `Password must be at least ${PASSWORD_MIN} characters`;
+  }
+  return null;
+}
+
+export function createUserStore(filePath) {
+  let users = [];
+
+  function save() {
+    fs.writeFileSync(filePath, JSON.stringify(users, null, 2));
+  }
+
+  if (fs.existsSync(filePath)) {
+    users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    save();
+  }
+
+  return {
+    list() {
+      return users;
+    },
+    get(id) {
+      return users.find(u => u.id === id) || null;
+    },
+    findByUsername(username) {
+      const want = (username ?? "").toString().trim().toLowerCase();
+      return want ? users.find(u => u.username === want) || null : null;
+    },
+    // Body: { username, password, role }
+    create({ username, password, role = "teacher" } = {}) {
+      const name = (username ?? "").toString().trim().toLowerCase();
+      if (!/^[a-z0-9._-]{3,40}$/.test(name)) {
+        return { error: "Username must be 3–40 letters, numbers, dots, dashes or underscores" };
+      }
+      if (this.findByUsername(name)) return { error: "That username is taken" };
+      if (!ROLES.includes(role)) return { error: `Role must be ${ROLES.join(" or ")}` };
+      const pwError = checkPassword(password);
+      if (pwError) return { error: pwError };
+
+      const user = {
+        id: crypto.randomBytes(4).toString('hex'),
+        username: name,
+        role,
+        password_hash: hashPassword(password),
+        created_ts: new Date().toISOString()
+      };
+      users.push(user);
+      save();
+      return { user };
+    },
+    // Body: { password?, role? }
+    update(id, { password, role } = {}) {
+      const user = this.get(id);
+      if (!user) return { error: "User not found", notFound: true };
+      if (role !== undefined && !ROLES.includes(role)) return { error: `Role must be ${ROLES.join(" or ")}` };
+      if (password !== undefined) {
+        const pwError = checkPassword(password);
+        if (pwError) return { error: pwError };
+      }
+      if (role !== undefined) user.role = role;
+      if (password !== undefined) user.password_hash = hashPassword(password);
+      save();
+      return { user };
+    },
+    remove(id) {
+      const before = users.length;
+      users = users.filter(u => u.id !== id);
+      if (users.length === before) return false;
+      save();
+      return true;
+    }
+  };
+}
+
+// Login sessions: opaque random token → user id, plus a failed-login lockout
+export function createLoginStore({ ttlMs = LOGIN_TTL_MS } = {}) {
+  const logins = new Map();     // token → { user_id, expires }
+  const failures = new Map();   // username → { count, until }
+
+  return {
+    ttlMs,
+    create(user_id) {
+      const token = crypto.randomBytes(24).toString('hex');
+      logins.set(token, { user_id, expires: Date.now() + ttlMs });
+      return token;
+    },
+    // user id for a live token (sliding expiry), or null
+    get(token) {
+      const login = token ? logins.get(token) : null;
+      if (!login) return null;
+      if (login.expires < Date.now()) {
+        logins.delete(token);
+        return null;
+      }
+      login.expires = Date.now() + ttlMs;
+      return login.user_id;
+    },
+    remove(token) {
+      logins.delete(token);
+    },
+    // e.g. after a password change or account removal
+    removeForUser(user_id) {
+      for (const [token, login] of logins) if (login.user_id === user_id) logins.delete(token);
+    },
+    lockedOut(username) {
+      const f = failures.get(username);
+      return Boolean(f && f.count >= LOCKOUT.attempts && f.until > Date.now());
+    },
+    recordFailure(username) {
+      const f = failures.get(username);
+      const count = f && f.until > Date.now() ? f.count + 1 : 1;
+      failures.set(username, { count, until: Date.now() + LOCKOUT.ms });
+    },
+    clearFailures(username) {
+      failures.delete(username);
+    }
+  };
+}
+
+// Token a student's browser sends back with every request for its session
+export function sessionToken(secret, session_id) {
+  return crypto.createHmac('sha256', secret).update(String(session_id)).digest('hex').slice(0, 32);
+}
+
+export function checkSessionToken(secret, session_id, token) {
+  if (typeof token !== "string" || !session_id) return false;
+  const expected = Buffer.from(sessionToken(secret, session_id));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// "a=1; b=2" → { a: "1", b: "2" }
+export function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    const key = part.slice(0, i).trim();
+    if (!key) continue;
+    try {
+      out[key] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      out[key] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
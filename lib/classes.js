@@ -0,0 +1,219 @@
+// lib/classes.js – teacher classes, join codes and assigned debate setups (data/classes.json)
+//
+// A class record:
+// {
+//   id, name, join_code, created_ts,
+//   owner_id,                                  // teacher account that created it
+//   roster: [{ id, first_name, last_initial }],  // empty roster = anyone with the code
+//   assignments: [{
+//     id, created_ts,
+//     topic_ids: [string],                     // empty = any enabled topic
+//     difficulties: [string],                  // one entry = fixed difficulty
+//     format_id,                               // see lib/formats.js
+//     max_rounds, due_date                     // due_date "YYYY-MM-DD" or null
+//   }]
+// }
+// Students joining with the code get the newest assignment. A roster entry's id
+// stays the same when the roster is edited, so sessions recorded against it
+// (settings.roster_id) add up to one student's progress over the term.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_FORMAT_ID, fixedLength, formatRounds } from './formats.js';
+
+// No 0/O or 1/I/L, so codes survive being read off a projector
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+export const ROUND_LIMITS = { min: 1, max: 10, default: 5 };
+
+const strList = v => Array.isArray(v) ? v.map(x => String(x).trim()).filter(Boolean) : [];
+const newId = () => crypto.randomBytes(4).toString('hex');
+
+// "Alex K", "Alex K.", or { first_name, last_initial } → { first_name, last_initial }
+function normalizeRosterEntry(entry) {
+  let first = "", initial = "";
+  if (typeof entry === "string") {
+    const parts = entry.trim().split(/\s+/);
+    initial = parts.length > 1 ? parts.pop() : "";
+    first = parts.join(" ");
+  } else if (entry && typeof entry === "object") {
+    first = (entry.first_name ?? "").toString();
+    initial = (entry.last_initial ?? "").toString();
+  }
+  first = first.trim();
+  initial = initial.replace(/[^a-z]/gi, "").slice(0, 1).toUpperCase();
+  return first && initial ? { first_name: first, last_initial: initial } : null;
+}
+
+// Check and normalize a class payload. `existing` is the record being updated.
+// Returns { cls } or { error }.
+function normalizeClass(input = {}, existing = null) {
+  const name = (input.name ?? existing?.name ?? "").toString().trim();
+  if (!name) return { error: "Class name is required" };
+  if (name.length > 80) return { error: "Class name must be 80 characters or fewer" };
+
+  if (input.roster !== undefined && !Array.isArray(input.roster)) {
+    return { error: "roster must be an array of names like \"Alex K\"" };
+  }
+  let roster = existing?.roster || [];
+  if (input.roster !== undefined) {
+    roster = [];
+    for (const entry of input.roster) {
+      const student = normalizeRosterEntry(entry);
+      if (!student) return { error: `Roster entries need a first name and last initial (got "${entry}")` };
+      if (roster.some(r => sameStudent(r, student))) continue;
+      // Students already on the roster keep their id (and their history)
+      const kept = existing?.roster.find(r => sameStudent(r, student));
+      roster.push({ id: kept?.id || newId(), ...student });
+    }
+  }
+  return { cls: { ...(existing || {}), name, roster } };
+}
+
+// Check and normalize an assignment payload against the catalog.
+// options: { difficulties: [string], isTopic(id) → boolean, formats (lib/formats.js catalog) }
+// Returns { assignment } or { error }.
+function normalizeAssignment(input = {}, options) {
+  if (input.topic_ids !== undefined && !Array.isArray(input.topic_ids)) {
+    return { error: "topic_ids must be an array of topic ids" };
+  }
+  const topic_ids = [...new Set(strList(input.topic_ids))];
+  const unknown = topic_ids.find(id => !options.isTopic(id));
+  if (unknown) return { error: `Unknown topic "${unknown}"` };
+
+  const raw = input.difficulties ?? (input.difficulty ? [input.difficulty] : options.difficulties);
+  if (!Array.isArray(raw)) return { error: "difficulties must be an array" };
+  const difficulties = [...new Set(strList(raw))];
+  if (!difficulties.length) return { error: "Pick at least one difficulty" };
+  const badLevel = difficulties.find(d => !options.difficulties.includes(d));
+  if (badLevel) return { error: `Unknown difficulty "${badLevel}"` };
+
+  const format_id = (input.format_id || DEFAULT_FORMAT_ID).toString();
+  const format = options.formats.get(format_id);
+  if (!format) return { error: `Unknown format "${format_id}"` };
+
+  // Formats with a fixed number of rounds set max_rounds themselves
+  const max_rounds = fixedLength(format)
+    ? formatRounds(format, ROUND_LIMITS.default)
+    : input.max_rounds === undefined || input.max_rounds === ""
+      ? ROUND_LIMITS.default
+      : Number(input.max_rounds);
+  if (!Number.isInteger(max_rounds) || max_rounds < ROUND_LIMITS.min || max_rounds > ROUND_LIMITS.max) {
+    return { error: `max_rounds must be a whole number from ${ROUND_LIMITS.min} to ${ROUND_LIMITS.max}` };
+  }
+
+  const due_date = input.due_date ? input.due_date.toString().trim() : null;
+  if (due_date && (!/^\d{4}-\d{2}-\d{2}$/.test(due_date) || isNaN(Date.parse(due_date)))) {
+    return { error: "due_date must look like YYYY-MM-DD" };
+  }
+
+  return { assignment: { topic_ids, difficulties, format_id, max_rounds, due_date } };
+}
+
+export function sameStudent(a, b) {
+  return (a.first_name || "").trim().toLowerCase() === (b.first_name || "").trim().toLowerCase()
+    && (a.last_initial || "").trim().toUpperCase().slice(0, 1) === (b.last_initial || "").trim().toUpperCase().slice(0, 1);
+}
+
+// Empty roster means the class is open to anyone with the code
+export function onRoster(cls, student) {
+  return !cls.roster.length || cls.roster.some(r => sameStudent(r, student));
+}
+
+// The roster entry a student signs in as (null when not on it or the roster is empty)
+export function rosterEntry(cls, student) {
+  return cls.roster.find(r => sameStudent(r, student)) || null;
+}
+
+export function currentAssignment(cls) {
+  return cls.assignments[cls.assignments.length - 1] || null;
+}
+
+export function createClassStore(filePath, options) {
+  let classes = [];
+
+  function save() {
+    fs.writeFileSync(filePath, JSON.stringify(classes, null, 2));
+  }
+
+  if (fs.existsSync(filePath)) {
+    classes = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    // Rosters saved before entries had ids
+    const missing = classes.flatMap(c => c.roster).filter(r => !r.id);
+    missing.forEach(r => { r.id = newId(); });
+    if (missing.length) save();
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    save();
+  }
+
+  function newJoinCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+    } while (classes.some(c => c.join_code === code));
+    return code;
+  }
+
+  return {
+    list() {
+      return classes;
+    },
+    get(id) {
+      return classes.find(c => c.id === id) || null;
+    },
+    findByCode(code) {
+      const want = (code || "").toString().trim().toUpperCase();
+      return want ? classes.find(c => c.join_code === want) || null : null;
+    },
+    // Creates the class and its first assignment in one go
+    create(input, { owner_id = null } = {}) {
+      const { cls, error } = normalizeClass(input);
+      if (error) return { error };
+      const { assignment, error: aError } = normalizeAssignment(input, options);
+      if (aError) return { error: aError };
+
+      const created_ts = new Date().toISOString();
+      Object.assign(cls, {
+        id: newId(),
+        owner_id,
+        join_code: newJoinCode(),
+        created_ts,
+        assignments: [{ id: newId(), created_ts, ...assignment }]
+      });
+      classes.push(cls);
+      save();
+      return { cls };
+    },
+    // Name and roster only; setups change by adding an assignment.
+    // owner_id (checked by the caller) hands the class to another teacher.
+    update(id, input, { owner_id } = {}) {
+      const existing = this.get(id);
+      if (!existing) return { error: "Class not found", notFound: true };
+      const { cls, error } = normalizeClass(input, existing);
+      if (error) return { error };
+      if (owner_id !== undefined) cls.owner_id = owner_id;
+      classes = classes.map(c => (c.id === id ? cls : c));
+      save();
+      return { cls };
+    },
+    addAssignment(id, input) {
+      const cls = this.get(id);
+      if (!cls) return { error: "Class not found", notFound: true };
+      const { assignment, error } = normalizeAssignment(input, options);
+      if (error) return { error };
+      const record = { id: newId(), created_ts: new Date().toISOString(), ...assignment };
+      cls.assignments.push(record);
+      save();
+      return { assignment: record };
+    },
+    remove(id) {
+      const before = classes.length;
+      classes = classes.filter(c => c.id !== id);
+      if (classes.length === before) return false;
+      save();
+      return true;
+    }
+  };
+}
@@ -0,0 +1,110 @@
+// lib/coach.js – "Help me argue" scaffolds for a student writing a turn
+//
+// A scaffold:
+//   { starters: [string],        // up to 3 sentence starters for this round
+//     question,                  // something to think about before writing
+//     counter_example }          // a prompt for an example against the AI's last point
+// The model writes scaffolds (task "coach"); normalizeScaffold() checks its
+// answer and fallbackScaffold() builds one offline from the round's phase, the
+// topic's talking points for the student's side and the AI's last reply.
+//
+// Hints are limited per debate by difficulty (HINT_LIMITS; adaptive sessions
+// use the level they're at when the hint is asked for). Each use is logged as a
+// turn with status "hint" in the round being written, so hintsUsed(turns, round)
+// tells the scorer how much help a round had (see meterFromRubric).
+
+export const HINT_LIMITS = {
+  Beginner: 6,
+  Intermediate: 4,
+  Normal: 3,
+  Hard: 2,
+  Extreme: 1
+};
+
+const SCAFFOLD_LIMITS = { text: 160, starters: 3 };
+
+export const hintLimit = difficulty => HINT_LIMITS[difficulty] ?? HINT_LIMITS.Normal;
+
+// Hints asked for in the whole debate, or in one round
+export function hintsUsed(turns, round = null) {
+  return turns.filter(t => t.status === "hint" && (round === null || t.round === round)).length;
+}
+
+// Which kind of turn the student is writing: opening, question, rebuttal or closing
+export function scaffoldKind({ round, maxRounds, phase }) {
+  if (phase.id === "closing" || (round === maxRounds && round > 1)) return "closing";
+  if (phase.id === "cross_examination") return "question";
+  if (round === 1 || phase.rebuttal === false) return "opening";
+  return "rebuttal";
+}
+
+// English scaffold text; a locale's "coach" messages override any of it (see
+// lib/i18n.js). {topic}, {said} and {point} are filled in by fallbackScaffold().
+export const COACH_TEXT = {
+  starters: {
+    opening: [
+      "I believe … because …",
+      "The most important reason is …",
+      "For example, …"
+    ],
+    question: [
+      "You said …, but what happens when …?",
+      "How do you know that …?",
+      "Wouldn’t … be a problem for your side?"
+    ],
+    rebuttal: [
+      "You said …, but …",
+      "That may be true, however …",
+      "Even if …, it still matters more that …"
+    ],
+    closing: [
+      "In the end, my side is stronger because …",
+      "The AI argued …, but my best point still stands: …",
+      "So the most important thing to remember is …"
+    ]
+  },
+  question_opening: "Why does “{topic}” matter to students like you? Pick the one reason you’d defend first.",
+  question_closing: "Which of your points did the AI never really answer? Finish with that one.",
+  question_rebuttal: "The AI said: “{said}” Is that always true? When might it not be?",
+  counter_rebuttal: "Think of a real situation — at school, at home or in the news — where the AI’s point doesn’t hold.",
+  counter_rebuttal_point: " For instance, a time when {point}.",
+  counter_support: "Think of one real example that supports your side.",
+  counter_support_point: "Think of one real example that supports your side, like a time when {point}."
+};
+
+const clean = (v, max = SCAFFOLD_LIMITS.text) =>
+  (typeof v === "string" ? v.replace(/\s+/g, " ").trim().slice(0, max) : "");
+const firstSentence = (text = "") => clean((text.split(/(?<=[.!?])\s+/)[0] || ""), 120);
+const lowerFirst = s => s.replace(/[.!?]+$/, "").replace(/^\w/, c => c.toLowerCase());
+
+// Validate the model's scaffold; returns a clean copy or null
+export function normalizeScaffold(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const starters = (Array.isArray(raw.starters) ? raw.starters : [])
+    .map(s => clean(s)).filter(Boolean).slice(0, SCAFFOLD_LIMITS.starters);
+  const question = clean(raw.question);
+  const counter_example = clean(raw.counter_example);
+  if (!starters.length || !question || !counter_example) return null;
+  return { starters, question, counter_example };
+}
+
+// context: { kind, topic, studentSide, points, lastReply }
+//   points – the topic's talking points for the student's side
+// overrides: a locale's "coach" messages (same shape as COACH_TEXT)
+export function fallbackScaffold({ kind = "rebuttal", topic = "", points = [], lastReply = "" }, overrides = {}) {
+  const text = { ...COACH_TEXT, ...overrides, starters: { ...COACH_TEXT.starters, ...overrides.starters } };
+  const fill = (s, vars) => s.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+  const said = firstSentence(lastReply);
+  const point = points.length ? lowerFirst(points[0]) : "";
+
+  let question;
+  if (kind === "opening" || !said) question = fill(text.question_opening, { topic });
+  else if (kind === "closing") question = text.question_closing;
+  else question = fill(text.question_rebuttal, { said });
+
+  const counter_example = said && kind !== "opening"
+    ? `${text.counter_rebuttal}${point ? fill(text.counter_rebuttal_point, { point }) : ""}`
+    : point ? fill(text.counter_support_point, { point }) : text.counter_support;
+
+  return { starters: text.starters[kind] || text.starters.rebuttal, question, counter_example };
+}
@@ -0,0 +1,121 @@
+// lib/exports.js – CSV / JSON exports produced from the session store
+//
+// The database is the record; these are generated on request. CSV follows
+// RFC 4180 (fields with commas, quotes or newlines are quoted), one header row,
+// and no summary rows mixed into the data.
+import crypto from 'crypto';
+import { RUBRIC_CRITERIA } from './rubric.js';
+
+// speaker: "pro" | "con" in student-vs-student debates, empty otherwise.
+// hints_used: "Help me argue" hints asked for while writing that round; the
+// hints themselves are rows with status "hint".
+// evidence_ids: library entries the turn cited (space-separated, see lib/topics.js).
+// Speakers' names stay out of the CSV so pseudonymized exports don't leak them.
+export const TURN_CSV_COLUMNS = [
+  "round", "speaker", "student_text", "ai_reply_text", "student_word_count", "readability_grade",
+  "hud_meter", "hud_leader", "latency_ms", "status", "category", "relevance", "effective_difficulty",
+  "hints_used", "evidence_ids", ...RUBRIC_CRITERIA.map(c => `rubric_${c.id}`)
+];
+
+// Spreadsheet apps run cells starting with = + - @ as formulas
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+export function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map(c => csvField(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// One row per turn, rubric criteria flattened into rubric_<id> columns
+export function turnRow(turn) {
+  const row = { ...turn, evidence_ids: (turn.evidence || []).map(e => e.id).join(" ") };
+  for (const { id } of RUBRIC_CRITERIA) row[`rubric_${id}`] = turn.rubric?.[id] ?? null;
+  return row;
+}
+
+export function sessionTurnsCSV(session) {
+  return toCSV(TURN_CSV_COLUMNS, session.turns.map(turnRow));
+}
+
+/* ----------------------------- Bulk exports ------------------------------ */
+// Tidy, one-header exports across many sessions for gradebooks and research.
+// Turns with status "support" (possible self-harm disclosures) are never
+// exported; those go to the safety alerts page only.
+
+const SESSION_ID_COLUMNS = [
+  "session_id", "student_id", "first_name", "last_initial", "grade",
+  "class_id", "class_name", "assignment_id", "topic_id", "topic", "difficulty", "side", "locale", "start_ts"
+];
+
+export const TURN_EXPORT_COLUMNS = [
+  ...SESSION_ID_COLUMNS,
+  ...TURN_CSV_COLUMNS,
+  "relevance_level", "rubric_source", "client_latency_ms"
+];
+
+export const SESSION_EXPORT_COLUMNS = [
+  ...SESSION_ID_COLUMNS,
+  "end_ts", "finished", "rounds_played", "winner_final", "avg_hud_meter", "last_hud_meter",
+  "violations_total", "hints_used", "evidence_cited", "readability_avg_grade",
+  ...RUBRIC_CRITERIA.map(c => `rubric_avg_${c.id}`)
+];
+
+function sessionIdentity(session) {
+  const s = session.settings || {};
+  return {
+    session_id: session.session_id,
+    student_id: session.student_id ?? null,
+    first_name: session.student?.first_name ?? "",
+    last_initial: session.student?.last_initial ?? "",
+    grade: session.student?.grade ?? "",
+    class_id: s.class_id ?? null,
+    class_name: s.class_name ?? null,
+    assignment_id: s.assignment_id ?? null,
+    topic_id: s.topic_id ?? null,
+    topic: s.topic ?? "",
+    difficulty: s.difficulty ?? "",
+    side: s.side ?? "",
+    locale: s.locale ?? "en",          // sessions from before locales are English
+    start_ts: session.start_ts
+  };
+}
+
+export function turnExportRows(session) {
+  const id = sessionIdentity(session);
+  return session.turns
+    .filter(t => t.status !== "support")
+    .map(t => ({ ...id, ...turnRow(t) }));
+}
+
+// stats: the session's summary numbers (finished summary or live stats)
+export function sessionExportRow(session, stats) {
+  const row = { ...sessionIdentity(session), ...stats, end_ts: session.end_ts ?? null, finished: Boolean(session.state?.finished) };
+  for (const { id } of RUBRIC_CRITERIA) row[`rubric_avg_${id}`] = stats.rubric_avg?.[id] ?? null;
+  delete row.rubric_avg;
+  return row;
+}
+
+export function toJSONL(columns, rows) {
+  return rows.map(row => JSON.stringify(Object.fromEntries(columns.map(c => [c, row[c] ?? null])))).join("\n") + (rows.length ? "\n" : "");
+}
+
+// Replaces names (and the name-bearing session id) with stable keyed hashes,
+// so the same student gets the same student_id in every export.
+export function createPseudonymizer(salt) {
+  const tag = (prefix, value) =>
+    `${prefix}-${crypto.createHmac('sha256', salt).update(value).digest('hex').slice(0, 10)}`;
+  return row => ({
+    ...row,
+    session_id: tag("sess", row.session_id),
+    student_id: tag("stu", `${row.first_name}|${row.last_initial}|${row.grade}`.toLowerCase()),
+    first_name: "",
+    last_initial: ""
+  });
+}
@@ -0,0 +1,155 @@
+// lib/formats.js – debate formats: named phases with their own rules
+//
+// A format:
+// {
+//   id, name, description,
+//   phases: [{
+//     id, name,
+//     rounds,              // whole number, or null = "the rest" (only one phase may)
+//     max_words,           // student word limit in this phase; null = the difficulty's limit
+//     rebuttal,            // false = nothing to rebut yet (rubric scores rebuttal as n/a)
+//     ai_instructions,     // added to the AI prompt for rounds in this phase
+//     student_prompt       // shown to the student when the phase starts
+//   }]
+// }
+// A session keeps a snapshot of its format (settings.format) with every
+// phase's rounds filled in, so editing FORMATS_CONFIG never changes a debate
+// that has already started.
+//
+// FORMATS_CONFIG may point at a JSON file { formats: [...] }; entries replace
+// the built-in format with the same id or are added to the list.
+
+export const DEFAULT_FORMAT_ID = "classic";
+
+export const DEFAULT_FORMATS = [
+  {
+    id: "classic",
+    name: "Classic",
+    description: "Back-and-forth rounds with the same rules every round.",
+    phases: [
+      { id: "debate", name: "Debate", rounds: null, max_words: null, rebuttal: true,
+        ai_instructions: "", student_prompt: "" }
+    ]
+  },
+  {
+    id: "structured",
+    name: "Structured (opening, cross-examination, rebuttal, closing)",
+    description: "Five rounds that follow a formal debate: state your case, question, rebut, then sum up.",
+    phases: [
+      { id: "opening", name: "Opening statement", rounds: 1, max_words: 120, rebuttal: false,
+        ai_instructions: "This is the opening statement. Give your side's main claim and two reasons. Do not rebut the student yet.",
+        student_prompt: "Opening statement: say what you believe and give your two best reasons." },
+      { id: "cross_examination", name: "Cross-examination", rounds: 1, max_words: 60, rebuttal: true,
+        ai_instructions: "This is cross-examination. Answer the student's question honestly in one or two sentences, then ask them ONE short question about their weakest point.",
+        student_prompt: "Cross-examination: ask the AI one sharp question about its argument." },
+      { id: "rebuttal", name: "Rebuttal", rounds: 2, max_words: null, rebuttal: true,
+        ai_instructions: "This is the rebuttal. Answer the student's strongest point directly before adding anything new.",
+        student_prompt: "Rebuttal: answer the AI's strongest point, then show why yours still stands." },
+      { id: "closing", name: "Closing statement", rounds: 1, max_words: 120, rebuttal: true,
+        ai_instructions: "This is the closing statement. Sum up why your side is stronger. Do not bring up new arguments.",
+        student_prompt: "Closing statement: sum up why your side wins. No new arguments!" }
+    ]
+  },
+  {
+    id: "quick",
+    name: "Quick (opening, rebuttal, closing)",
+    description: "Three short rounds — good for a warm-up.",
+    phases: [
+      { id: "opening", name: "Opening statement", rounds: 1, max_words: 90, rebuttal: false,
+        ai_instructions: "This is the opening statement. Give your side's main claim and one reason. Do not rebut the student yet.",
+        student_prompt: "Opening statement: say what you believe and why." },
+      { id: "rebuttal", name: "Rebuttal", rounds: 1, max_words: 90, rebuttal: true,
+        ai_instructions: "This is the rebuttal. Answer the student's main point directly.",
+        student_prompt: "Rebuttal: answer the AI's main point." },
+      { id: "closing", name: "Closing statement", rounds: 1, max_words: 90, rebuttal: true,
+        ai_instructions: "This is the closing statement. Sum up in two or three sentences. No new arguments.",
+        student_prompt: "Closing statement: sum up why your side wins." }
+    ]
+  }
+];
+
+const ID_RE = /^[a-z0-9_-]{1,40}$/;
+
+// Check a format definition; returns an error message or null
+function formatError(f) {
+  if (!f || !ID_RE.test(f.id || "")) return `Format ids must be lowercase letters, numbers, dashes or underscores (got "${f?.id}")`;
+  if (!Array.isArray(f.phases) || !f.phases.length) return `Format "${f.id}" needs at least one phase`;
+  let open = 0;
+  for (const p of f.phases) {
+    if (!p || !ID_RE.test(p.id || "") || !p.name) return `Every phase of "${f.id}" needs an id and a name`;
+    if (p.rounds === null || p.rounds === undefined) open++;
+    else if (!Number.isInteger(p.rounds) || p.rounds < 1) return `Phase "${p.id}" of "${f.id}" needs a whole number of rounds`;
+    if (p.max_words !== null && p.max_words !== undefined && (!Number.isInteger(p.max_words) || p.max_words < 10)) {
+      return `Phase "${p.id}" of "${f.id}" has a bad max_words`;
+    }
+  }
+  if (open > 1) return `Only one phase of "${f.id}" can leave its rounds open`;
+  return null;
+}
+
+function normalizePhase(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    rounds: p.rounds ?? null,
+    max_words: p.max_words ?? null,
+    rebuttal: p.rebuttal !== false,
+    ai_instructions: (p.ai_instructions || "").toString(),
+    student_prompt: (p.student_prompt || "").toString()
+  };
+}
+
+// Rounds a format takes: fixed phases add up; an open phase takes what is left of defaultRounds
+export function formatRounds(format, defaultRounds) {
+  const fixed = format.phases.reduce((a, p) => a + (p.rounds || 0), 0);
+  const hasOpen = format.phases.some(p => !p.rounds);
+  return hasOpen ? Math.max(fixed + 1, defaultRounds) : fixed;
+}
+
+// True when the format fixes its own length (assignments can't change max_rounds)
+export const fixedLength = format => format.phases.every(p => p.rounds);
+
+export function createFormatCatalog(config = {}) {
+  const formats = [...DEFAULT_FORMATS];
+  for (const f of config.formats || []) {
+    const error = formatError(f);
+    if (error) throw new Error(`FORMATS_CONFIG: ${error}`);
+    const clean = { id: f.id, name: f.name || f.id, description: f.description || "", phases: f.phases.map(normalizePhase) };
+    const i = formats.findIndex(x => x.id === f.id);
+    if (i === -1) formats.push(clean);
+    else formats[i] = clean;
+  }
+
+  return {
+    list() {
+      return formats.map(f => ({ ...f, fixed_rounds: fixedLength(f) ? formatRounds(f, 0) : null }));
+    },
+    get(id) {
+      return formats.find(f => f.id === id) || null;
+    },
+    // What a session stores: every phase with its rounds filled in
+    snapshot(id, defaultRounds) {
+      const f = this.get(id) || this.get(DEFAULT_FORMAT_ID);
+      const total = formatRounds(f, defaultRounds);
+      const fixed = f.phases.reduce((a, p) => a + (p.rounds || 0), 0);
+      return {
+        id: f.id,
+        name: f.name,
+        phases: f.phases.map(p => ({ ...p, rounds: p.rounds || total - fixed }))
+      };
+    }
+  };
+}
+
+// Phase a round falls in: the phase plus { round_in_phase, first } (last phase past the end)
+export function phaseFor(format, round) {
+  let start = 1;
+  for (const p of format.phases) {
+    if (round < start + p.rounds) return { ...p, round_in_phase: round - start + 1, first: round === start };
+    start += p.rounds;
+  }
+  const last = format.phases[format.phases.length - 1];
+  return { ...last, round_in_phase: last.rounds, first: false };
+}
+
+export const totalRounds = format => format.phases.reduce((a, p) => a + p.rounds, 0);
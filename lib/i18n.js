@@ -0,0 +1,54 @@
+// lib/i18n.js – languages a debate can be held in
+//
+// A locale (lib/locales/<id>.js):
+// {
+//   id, name,             // "es", "Español" (shown in the language menus)
+//   language,             // English name for prompts: "Spanish"
+//   readability,          // formula in lib/text.js: "flesch-kincaid" | "fernandez-huerta"
+//   messages: { key: string | [..] | {..} },   // server text: moderation, HUD labels, errors…
+//   ui: { key: string }                        // student pages, served by GET /api/locales/:id
+// }
+// Strings use {name} placeholders. A key a locale doesn't have falls back to
+// English, so a new language can be filled in a bit at a time. The "rubric",
+// "coach" and "report" messages are objects that override the English text
+// kept next to that code (lib/rubric.js, lib/coach.js, lib/report.js).
+//
+// A session records its locale in settings.locale; sessions from before
+// locales existed are English.
+import { locale as en } from './locales/en.js';
+import { locale as es } from './locales/es.js';
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALES = { en, es };
+
+export const isLocale = id => typeof id === "string" && Object.hasOwn(LOCALES, id);
+export const localeOf = session => (isLocale(session?.settings?.locale) ? session.settings.locale : DEFAULT_LOCALE);
+export const localeList = () => Object.values(LOCALES).map(({ id, name }) => ({ id, name }));
+export const readabilityFormula = id => (LOCALES[id] || LOCALES[DEFAULT_LOCALE]).readability;
+
+const fill = (s, vars) => s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m));
+
+// t(key, vars) → string in the locale (English if it's missing there)
+// t.raw(key)   → the catalog value as is (lists, override objects), or undefined
+export function translator(id = DEFAULT_LOCALE) {
+  const locale = LOCALES[id] || LOCALES[DEFAULT_LOCALE];
+  const raw = key => locale.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+  const t = (key, vars = {}) => {
+    const s = raw(key);
+    return typeof s === "string" ? fill(s, vars) : key;
+  };
+  t.raw = raw;
+  t.locale = locale.id;
+  return t;
+}
+
+// Every UI string for a locale, English filling any gaps
+export const uiStrings = id => ({ ...LOCALES[DEFAULT_LOCALE].ui, ...(LOCALES[id]?.ui || {}) });
+
+// Added to prompts so the model writes for the student in their language
+export function languageInstruction(id) {
+  if (!isLocale(id) || id === DEFAULT_LOCALE) return "";
+  return `
+Write everything the student will read in ${LOCALES[id].language}, in simple words for a language learner.
+Keep JSON keys and fixed values (like "agree", "pro" or "tied") in English.`;
+}
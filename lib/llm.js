@@ -0,0 +1,364 @@
+// lib/llm.js – pluggable LLM providers (OpenAI, Azure OpenAI, OpenAI-compatible, offline mock)
+//
+// Config (env):
+//   LLM_PROVIDER      openai | azure | compatible | mock   (default: openai, or mock if no API key)
+//   LLM_MODEL         model / Azure deployment name           (default: gpt-4o-mini)
+//   LLM_BASE_URL      base URL for "compatible" servers, e.g. http://localhost:11434/v1
+//   LLM_API_KEY       API key (falls back to OPENAI_API_KEY / AZURE_OPENAI_API_KEY)
+//   LLM_TIMEOUT_MS    per-request timeout                     (default: 20000)
+//   AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_VERSION           (azure only)
+//
+// Every provider exposes the same shape:
+//   { name, model,
+//     complete({ task, input, context }) → Promise<string>,
+//     stream({ task, input, context })   → AsyncIterable<string> (text deltas) }
+// `input` is the full prompt. `task` ("debate" | "explain" | "summary" |
+// "moderate" | "judge" | "argue" | "coach") and `context` (the structured values the prompt was
+// built from) are only used by the mock provider, which can't read prompts;
+// context.locale ("en" | "es") picks the language of everything it writes.
+import OpenAI, { AzureOpenAI } from 'openai';
+
+export function llmConfigFromEnv(env = process.env) {
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY || env.AZURE_OPENAI_API_KEY || "";
+  return {
+    provider: (env.LLM_PROVIDER || (apiKey ? "openai" : "mock")).toLowerCase(),
+    model: env.LLM_MODEL || "gpt-4o-mini",
+    baseURL: env.LLM_BASE_URL || undefined,
+    apiKey,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 20000,
+    azureEndpoint: env.AZURE_OPENAI_ENDPOINT,
+    azureApiVersion: env.AZURE_OPENAI_API_VERSION || "2024-10-21"
+  };
+}
+
+export function createLLM(config = llmConfigFromEnv()) {
+  switch (config.provider) {
+    case "openai":
+      return openaiProvider(config);
+    case "azure":
+      return azureProvider(config);
+    case "compatible":
+      return compatibleProvider(config);
+    case "mock":
+      return mockProvider(config);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (use openai, azure, compatible or mock)`);
+  }
+}
+
+/* ----------------------------- Real providers ---------------------------- */
+
+// Hosted OpenAI: Responses API
+function openaiProvider({ model, apiKey, baseURL, timeoutMs }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 1 });
+  return {
+    name: "openai",
+    model,
+    async complete({ input }) {
+      const r = await client.responses.create({ model, input });
+      return (r.output_text || "").trim();
+    },
+    async *stream({ input }) {
+      const events = await client.responses.create({ model, input, stream: true });
+      for await (const ev of events) {
+        if (ev.type === "response.output_text.delta" && ev.delta) yield ev.delta;
+      }
+    }
+  };
+}
+
+// Chat Completions is the lowest common denominator for Azure and local servers
+function chatProvider(name, client, model) {
+  return {
+    name,
+    model,
+    async complete({ input }) {
+      const r = await client.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: input }]
+      });
+      return (r.choices?.[0]?.message?.content || "").trim();
+    },
+    async *stream({ input }) {
+      const chunks = await client.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: input }],
+        stream: true
+      });
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+}
+
+function azureProvider({ model, apiKey, azureEndpoint, azureApiVersion, timeoutMs }) {
+  const client = new AzureOpenAI({
+    apiKey,
+    endpoint: azureEndpoint,
+    apiVersion: azureApiVersion,
+    deployment: model,
+    timeout: timeoutMs,
+    maxRetries: 1
+  });
+  return chatProvider("azure", client, model);
+}
+
+function compatibleProvider({ model, apiKey, baseURL, timeoutMs }) {
+  if (!baseURL) throw new Error("LLM_PROVIDER=compatible needs LLM_BASE_URL");
+  // Local servers usually ignore the key, but the SDK requires one
+  const client = new OpenAI({ apiKey: apiKey || "local", baseURL, timeout: timeoutMs, maxRetries: 1 });
+  return chatProvider("compatible", client, model);
+}
+
+/* ------------------------------ Mock provider ---------------------------- */
+// Deterministic: the same context always gives the same output, and every
+// output matches the JSON the server asks the real model for.
+
+function hash(str = "") {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+const pick = (list, seed) => list[seed % list.length];
+const sentences = (text = "") => text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+
+const REASON_RE   = /\b(because|since|so|therefore)\b/i;
+const EVIDENCE_RE = /\b(for example|for instance|such as|study|studies|research|percent|\d+)\b|%/i;
+const REASON_RE_ES   = /(?<![\p{L}\p{N}])(porque|ya que|así que|por eso)(?![\p{L}\p{N}])/iu;
+const EVIDENCE_RE_ES = /(?<![\p{L}\p{N}])(por ejemplo|estudios?|investigación|por ciento|\d+)(?![\p{L}\p{N}])|%/iu;
+const REBUT_RE_ES    = /(?<![\p{L}\p{N}])(pero|sin embargo|aunque|dijiste)(?![\p{L}\p{N}])/iu;
+
+const MOCK_OPENERS = [
+  "I hear you, but",
+  "That's a fair point, and still",
+  "Interesting idea! However,",
+  "I see why you think that, yet"
+];
+const MOCK_OPENERS_ES = [
+  "Te entiendo, pero",
+  "Es un buen punto y, aun así,",
+  "¡Idea interesante! Sin embargo,",
+  "Veo por qué lo piensas, pero"
+];
+const MOCK_COUNTERS_ES = {
+  pro: [
+    "hay beneficios reales que es fácil pasar por alto, como ayudar a los estudiantes a los que más les cuesta.",
+    "muchas escuelas que lo probaron vieron a sus estudiantes más preparados y menos estresados."
+  ],
+  con: [
+    "podría causar problemas nuevos, como gastos extra o menos tiempo para otras cosas importantes.",
+    "no todos los estudiantes se beneficiarían igual, y algunos podrían salir perdiendo."
+  ],
+  neutral: [
+    "ayuda pensar en quién gana y quién pierde con esta idea."
+  ]
+};
+const MOCK_COUNTERS = {
+  pro: [
+    "there are real benefits here that are easy to miss, like how it can help students who struggle the most.",
+    "many schools that tried this saw students feel more prepared and less stressed.",
+    "if we look at the long run, the good effects add up for the whole class."
+  ],
+  con: [
+    "it might cause new problems, like extra costs or less time for other important things.",
+    "not every student would benefit the same way, and some could end up worse off.",
+    "there are simpler ways to reach the same goal without such a big change."
+  ],
+  neutral: [
+    "it helps to think about who gains and who loses from this idea.",
+    "we should look at both the short-term and long-term effects."
+  ]
+};
+
+function mockRubric(message, round, locale = "en") {
+  const es = locale === "es";
+  const wc = (message.match(/[\p{L}\p{N}_]+(?:['’][\p{L}\p{N}_]+)*/gu) || []).length;
+  const hasReason = (es ? REASON_RE_ES : REASON_RE).test(message);
+  const hasEvidence = (es ? EVIDENCE_RE_ES : EVIDENCE_RE).test(message);
+  const rebuts = es ? REBUT_RE_ES.test(message) : /\b(but|however|although|you said)\b/i.test(message);
+  return {
+    claim: wc < 3 ? 0 : wc < 8 ? 2 : 3,
+    reasoning: hasReason ? (wc >= 25 ? 4 : 3) : wc >= 15 ? 1 : 0,
+    evidence: hasEvidence ? 3 : 0,
+    rebuttal: round === 1 ? null : rebuts ? 3 : 1,
+    respect: 4
+  };
+}
+
+function mockDebate({ message = "", topic = "", aiSide = "neutral", round = 1, evidence = [], locale = "en" }) {
+  const seed = hash(`${message}|${round}`);
+  const rubric = mockRubric(message, round, locale);
+  if (evidence.length) rubric.evidence = Math.max(rubric.evidence, 3);
+  const strength = (rubric.claim + rubric.reasoning + rubric.evidence) / 12;
+  const stance = strength >= 0.75 ? "agree" : strength >= 0.5 ? "mixed" : "disagree";
+
+  if (locale === "es") {
+    const about = topic ? ` sobre “${topic}”,` : "";
+    const cited = evidence.length ? `Ese dato de ${evidence[0].source} es bueno. ` : "";
+    const reply = `${cited}${pick(MOCK_OPENERS_ES, seed)}${about} ${pick(MOCK_COUNTERS_ES[aiSide] || MOCK_COUNTERS_ES.neutral, seed >>> 3)} ¿Qué opinas de eso?`;
+    return JSON.stringify({ reply, stance, rubric });
+  }
+
+  const about = topic ? ` when it comes to “${topic}”,` : "";
+  const cited = evidence.length ? `That fact from ${evidence[0].source} is a good one. ` : "";
+  const reply = `${cited}${pick(MOCK_OPENERS, seed)}${about} ${pick(MOCK_COUNTERS[aiSide] || MOCK_COUNTERS.neutral, seed >>> 3)} What do you think about that?`;
+
+  return JSON.stringify({ reply, stance, rubric });
+}
+
+function mockExplain({ student = "", reply = "", locale = "en" }) {
+  const es = locale === "es";
+  const reasonRe = es ? REASON_RE_ES : REASON_RE;
+  const evidenceRe = es ? EVIDENCE_RE_ES : EVIDENCE_RE;
+  const stu = sentences(student);
+  const ai = sentences(reply);
+  const reasons = stu.filter(s => reasonRe.test(s));
+  const evidence = stu.filter(s => evidenceRe.test(s));
+  const strategy = es
+    ? (evidence.length ? "Responde directamente al contrapunto de la IA." : "Agrega un ejemplo real que apoye tu razón.")
+    : (evidence.length ? "Answer the AI’s counterpoint directly." : "Add one real example to support your reason.");
+  return JSON.stringify({
+    extracted_claim: stu[0] || student,
+    reasons,
+    evidence,
+    ai: { claim: ai[0] || "", reasons: ai.filter(s => reasonRe.test(s)), evidence: [] },
+    steps: [],
+    strategy
+  });
+}
+
+function mockSummary({ prevSummary = "", turns = [], locale = "en" }) {
+  const lines = turns.map(t => {
+    const said = sentences(t.student_text)[0] || "", answered = sentences(t.ai_reply_text)[0] || "";
+    return locale === "es"
+      ? `Ronda ${t.round}: el estudiante dijo "${said}" y la IA respondió "${answered}".`
+      : `Round ${t.round}: the student said "${said}" and the AI answered "${answered}".`;
+  });
+  return [prevSummary, ...lines].filter(Boolean).join(" ");
+}
+
+const MOCK_MODERATOR_NOTES = {
+  en: {
+    notes: [
+      "Thanks, {speaker}. {next}, what is your answer to that?",
+      "A clear point from {speaker}. {next}, your turn — respond to their main reason.",
+      "Noted, {speaker}. {next}, can you show why your side still holds up?"
+    ],
+    last: "Thank you, {speaker}, and thank you both — that was the last turn."
+  },
+  es: {
+    notes: [
+      "Gracias, {speaker}. {next}, ¿qué respondes a eso?",
+      "Un punto claro de {speaker}. {next}, te toca: responde a su razón principal.",
+      "Anotado, {speaker}. {next}, ¿puedes mostrar por qué tu lado sigue en pie?"
+    ],
+    last: "Gracias, {speaker}, y gracias a los dos: ese fue el último turno."
+  }
+};
+
+function mockModerate({ message = "", speaker = "pro", next = "con", round = 1, last = false, locale = "en" }) {
+  const notes = MOCK_MODERATOR_NOTES[locale] || MOCK_MODERATOR_NOTES.en;
+  const note = (last ? notes.last : pick(notes.notes, hash(`${message}|${round}`)))
+    .replace("{speaker}", speaker.toUpperCase())
+    .replace("{next}", next.toUpperCase());
+  return JSON.stringify({ comment: note, rubric: mockRubric(message, round, locale) });
+}
+
+function mockJudge({ quality = {}, locale = "en" }) {
+  const pro = quality.pro ?? 0, con = quality.con ?? 0;
+  const winner = Math.abs(pro - con) < 0.02 ? "tied" : pro > con ? "pro" : "con";
+  const side = winner.toUpperCase();
+  const reasons = locale === "es"
+    ? (winner === "tied"
+      ? ["Los dos lados presentaron argumentos igual de sólidos."]
+      : [`${side} respaldó sus afirmaciones con razones y ejemplos más claros.`,
+         `${side} respondió de forma más directa a los puntos del otro lado.`])
+    : (winner === "tied"
+      ? ["Both sides made equally strong arguments."]
+      : [`${side} backed up its claims with clearer reasons and examples.`,
+         `${side} answered the other side's points more directly.`]);
+  return JSON.stringify({ winner, reasons });
+}
+
+const MOCK_EXAMPLES = [
+  "for example, a class that tried it last year finished more projects",
+  "for instance, about 60 percent of students in one survey said it helped them",
+  "for example, my cousin's school did this and students felt less rushed"
+];
+const MOCK_EXAMPLES_ES = [
+  "por ejemplo, una clase que lo probó el año pasado terminó más proyectos",
+  "por ejemplo, cerca del 60 por ciento de los estudiantes de una encuesta dijo que les ayudó",
+  "por ejemplo, en la escuela de mi primo lo hicieron y los estudiantes se sintieron menos apurados"
+];
+
+// A demo debater's argument: a claim, a reason from the talking points and an example.
+// Talking points are English, so Spanish arguments use a generic reason.
+function mockArgue({ topic = "", round = 1, points = [], locale = "en" }) {
+  const es = locale === "es";
+  const seed = hash(`${topic}|${round}`);
+  const point = points.length && !es
+    ? points[(round - 1) % points.length].replace(/[.!?]+$/, "").replace(/^\w/, c => c.toLowerCase())
+    : es ? "ayuda más a los estudiantes" : "it helps students the most";
+  const example = pick(es ? MOCK_EXAMPLES_ES : MOCK_EXAMPLES, seed);
+  const answer = round > 1 ? (es ? "Dijiste que podría causar problemas, pero " : "You said it could cause problems, but ") : "";
+  const claim = es ? `${answer ? "creo" : "Creo"} que “${topic}” es una buena idea porque` : `I believe “${topic}” is a good idea because`;
+  const argument = `${answer}${claim} ${point}. ${example[0].toUpperCase()}${example.slice(1)}.`;
+  return JSON.stringify({ argument });
+}
+
+// "Help me argue" scaffold: starters, a question and a counter-example prompt
+function mockCoach({ kind = "rebuttal", topic = "", lastReply = "", locale = "en" }) {
+  const said = sentences(lastReply)[0] || "";
+  if (locale === "es") {
+    return JSON.stringify({
+      starters: kind === "opening"
+        ? ["Yo creo que … porque …", "Una razón es …", "Por ejemplo, …"]
+        : ["Dijiste que …, pero …", "Entiendo tu punto; sin embargo, …", "Eso no funciona cuando …"],
+      question: said ? `¿Esto siempre es cierto: “${said}”?` : `¿A quién ayuda más “${topic}”, y por qué?`,
+      counter_example: said
+        ? "¿Recuerdas alguna vez en que pasó lo contrario?"
+        : "¿Qué has visto pasar que apoye tu lado?"
+    });
+  }
+  const starters = kind === "opening"
+    ? ["I think … because …", "One reason is …", "For instance, …"]
+    : ["You said …, but …", "I see your point, however …", "That doesn’t work when …"];
+  return JSON.stringify({
+    starters,
+    question: said ? `Is this always true: “${said}”?` : `Who is helped most by “${topic}”, and why?`,
+    counter_example: said
+      ? "Can you think of a time when the opposite happened?"
+      : "What is one thing you have seen happen that supports your side?"
+  });
+}
+
+const MOCK_TASKS = {
+  debate: mockDebate, explain: mockExplain, summary: mockSummary,
+  moderate: mockModerate, judge: mockJudge, argue: mockArgue,
+  coach: mockCoach
+};
+const MOCK_STREAM = { chunkChars: 12, delayMs: 25 };   // fake "typing" speed
+
+function mockProvider() {
+  const complete = async ({ task, context = {} }) => {
+    const fn = MOCK_TASKS[task];
+    return fn ? fn(context) : "";
+  };
+  return {
+    name: "mock",
+    model: "mock-debater",
+    complete,
+    async *stream(args) {
+      const text = await complete(args);
+      for (let i = 0; i < text.length; i += MOCK_STREAM.chunkChars) {
+        await new Promise(r => setTimeout(r, MOCK_STREAM.delayMs));
+        yield text.slice(i, i + MOCK_STREAM.chunkChars);
+      }
+    }
+  };
+}
@@ -0,0 +1,329 @@
+// lib/locales/en.js – English (the default; every other locale falls back to it)
+export const locale = {
+  id: "en",
+  name: "English",
+  language: "English",
+  readability: "flesch-kincaid",
+
+  messages: {
+    // Moderation: what the student sees when a turn is blocked, by category
+    "block.sexual": "Please avoid explicit sexual content. Let's keep this school-safe.",
+    "block.harassment": "Please never tell anyone to hurt themselves. Let's keep the debate kind and school-safe.",
+    "block.default": "Please avoid strong curse words or slurs. Let's keep the debate respectful and school-safe.",
+    "block.warning": "{message} (Warning {active} of {threshold})",
+    "block.stop": "We have to stop the debate now to keep things school-appropriate.",
+    "warn": "Heads up: let’s keep the language school-friendly — try a different word next time.",
+
+    // Shown instead of a scolding when a student may be talking about hurting themselves
+    "support.message":
+      "It sounds like you might be going through something really hard. You’re not in trouble, " +
+      "and you don’t have to handle it alone. Please talk to a trusted adult — like your teacher, " +
+      "school counselor, or a family member — today.",
+    "support.resources": [
+      { name: "988 Suicide & Crisis Lifeline", contact: "Call or text 988 (US)" },
+      { name: "Crisis Text Line", contact: "Text HOME to 741741 (US)" },
+      { name: "Your school counselor", contact: "Ask your teacher to help you find them" }
+    ],
+
+    // Used in place of an AI reply that fails moderation or comes back empty
+    "reply.safe": "Let me put that a better way: I still see strong points on my side. Can you tell me more about your reasons?",
+    "reply.fallback": "That's an interesting point—here’s one idea to consider on this topic.",
+    "reply.empty": "Thanks! I see your point—here’s one idea to consider on this topic.",
+
+    // HUD captions; {student} and {ai} are the two sides' names
+    "meter.student": "Student",
+    "meter.ai": "AI",
+    "meter.far": "{leader} far ahead",
+    "meter.clear": "{leader} clearly ahead",
+    "meter.slight": "{leader} slightly ahead",
+    "meter.tied": "Neck and neck",
+
+    "level.Beginner": "Beginner",
+    "level.Intermediate": "Intermediate",
+    "level.Normal": "Normal",
+    "level.Hard": "Hard",
+    "level.Extreme": "Extreme",
+    "level.Adaptive": "Adaptive",
+    "difficulty.up": "You’re on a roll — I’ll argue at {level} level from now on.",
+    "difficulty.down": "Let’s take it a bit easier — I’ll argue at {level} level for now.",
+
+    "error.unknown_language": "Unknown language",
+    "error.unknown_difficulty": "Unknown difficulty",
+    "error.unknown_side": "Side must be \"pro\" or \"con\"",
+    "error.unknown_topic": "Unknown topic",
+    "error.finished": "This debate has already finished.",
+    "error.in_flight": "Please wait for the AI to answer your last argument.",
+    "error.out_of_order": "Out-of-order turn: this debate is on round {round}.",
+    "error.too_long": "Please keep your argument under {max} words.",
+    "error.too_many_citations": "You can cite up to {max} pieces of evidence per turn.",
+    "error.unknown_evidence": "That evidence isn’t in this topic’s library.",
+    "error.failed": "Failed to get AI response.",
+    "error.unknown_class": "Unknown class code",
+    "error.roster": "You’re not on the roster for {class}. Check your name with your teacher.",
+    "error.assignment_difficulty": "This assignment uses {list} difficulty.",
+    "error.assignment_topic": "That topic isn’t part of this assignment.",
+    "list.or": " or ",
+
+    // "Help me argue"
+    "coach.wait": "Please wait for the AI to finish first.",
+    "coach.out_of_hints": "You’ve used all {limit} hints for this debate — you’ve got this!",
+    "coach.failed": "Couldn’t get a hint right now — please try again.",
+
+    // Explain outline built offline
+    "explain.need_reason": "Add a reason using “because…” to back up your claim.",
+    "explain.need_evidence": "Give a real example or fact that supports your reason.",
+    "explain.answer_ai": "Answer the AI’s main point directly, then restate why your side is stronger.",
+    "explain.step_reason": "🎯 Reason: {text}",
+    "explain.step_evidence": "🧩 Evidence: {text}",
+    "explain.step_ai_claim": "🤖 AI says: {text}",
+    "explain.step_ai_reason": "🔁 AI's reason: {text}",
+
+    // Phases of the built-in formats (lib/formats.js); custom formats keep their own text
+    "phase.debate": "Debate",
+    "phase.opening": "Opening statement",
+    "phase.cross_examination": "Cross-examination",
+    "phase.rebuttal": "Rebuttal",
+    "phase.closing": "Closing statement",
+    "prompt.structured.opening": "Opening statement: say what you believe and give your two best reasons.",
+    "prompt.structured.cross_examination": "Cross-examination: ask the AI one sharp question about its argument.",
+    "prompt.structured.rebuttal": "Rebuttal: answer the AI's strongest point, then show why yours still stands.",
+    "prompt.structured.closing": "Closing statement: sum up why your side wins. No new arguments!",
+    "prompt.quick.opening": "Opening statement: say what you believe and why.",
+    "prompt.quick.rebuttal": "Rebuttal: answer the AI's main point.",
+    "prompt.quick.closing": "Closing statement: sum up why your side wins.",
+
+    // Student-vs-student rooms
+    "room.waiting": "Waiting for the other side to join.",
+    "room.scoring": "Please wait for the moderator to finish scoring the last turn.",
+    "room.not_your_turn": "It’s {side}’s turn.",
+    "room.failed": "Failed to score that turn.",
+    "room.thanks_last": "Thank you, {side}. That was the last turn — the judge will now decide.",
+    "room.thanks_next": "Thank you, {side}. {next}, it’s your turn — answer their main point.",
+    "room.judge_tied": "Both sides scored about the same on the rubric.",
+    "room.judge_leader": "{side} scored higher on the rubric on average.",
+    "room.stopped_reason": "The debate was stopped because {side} reached {threshold} warnings.",
+    "room.stopped_notice": "The moderator stopped the debate: {side} reached {threshold} warnings.",
+    "room.blocked_notice": "{side}’s last message was blocked (warning {active} of {threshold}).",
+    "room.closed": "Your teacher closed this room.",
+    "room.unknown": "Unknown room code",
+    "room.name_required": "Please enter your first name and last initial",
+    "room.already_joined": "{name} has already joined this room. Rejoin from the browser you joined with.",
+    "room.team_full": "The {side} team is full ({size} students).",
+    "room.not_member": "You’re not in this room",
+    "room.missing_message": "Missing message",
+
+    // AI-vs-AI demos: stand-in PRO argument
+    "demo.argument": "I think “{topic}” is right because {point}. For example, students and teachers would notice the difference quickly.",
+    "demo.point": "it helps more people than it hurts",
+    "demo.this_idea": "this idea",
+    "demo.finished": "This demo has already finished.",
+    "demo.in_flight": "The last round is still being played.",
+    "demo.failed": "Failed to play the next round."
+  },
+
+  ui: {
+    "title.welcome": "AI Debate Tool – Welcome",
+    "title.debate": "AI Debate Tool",
+
+    // welcome.html
+    "welcome.heading": "Welcome to the AI Debate Tool",
+    "welcome.subtitle": "You’ll practice your argument skills by debating an AI in a short, friendly conversation. Tell us a bit about yourself to get started.",
+    "field.language": "Language",
+    "field.first_name": "First name",
+    "field.last_initial": "Last initial",
+    "field.last_initial_help": "One letter (A–Z)",
+    "field.grade": "Grade",
+    "grade.select": "Select grade",
+    "grade.6": "6th grade",
+    "grade.7": "7th grade",
+    "grade.8": "8th grade",
+    "grade.other": "Other / College / Adult",
+    "field.grade_other": "Enter your grade / level",
+    "grade_other.placeholder": "Only required if selecting 'Other'",
+    "grade_other.placeholder_on": "e.g., 9th grade, College Freshman, Adult",
+    "field.difficulty": "Difficulty",
+    "difficulty.select": "Select difficulty",
+    "difficulty.Beginner": "Beginner (AI is very gentle)",
+    "difficulty.Intermediate": "Intermediate",
+    "difficulty.Normal": "Normal",
+    "difficulty.Hard": "Hard",
+    "difficulty.Extreme": "Extreme (AI is very challenging)",
+    "difficulty.Adaptive": "Adaptive (AI adjusts to you)",
+    "field.class_code": "Class code",
+    "class_code.placeholder": "Only if your teacher gave you one",
+    "class_code.help": "Your teacher’s code sets your topic choices and difficulty.",
+    "class_code.error": "Could not check that class code.",
+    "class_code.summary": "✅ {class} · {rounds} rounds{format}{due}",
+    "class_code.due": " · due {date}",
+    "class_code.past_due": " (past due)",
+    "button.start": "Start Debating",
+    "alert.fill_all": "Please fill out all fields before starting.",
+    "alert.grade_other": "Please enter your grade/level when selecting 'Other'.",
+    "alert.assignment_difficulty": "This assignment uses {list} difficulty.",
+    "list.or": " or ",
+
+    // Difficulty names on their own
+    "level.Beginner": "Beginner",
+    "level.Intermediate": "Intermediate",
+    "level.Normal": "Normal",
+    "level.Hard": "Hard",
+    "level.Extreme": "Extreme",
+    "level.Adaptive": "Adaptive",
+
+    // index.html + script.js
+    "round.tracker": "Round {round} of {max}{phase}",
+    "input.placeholder": "Enter your argument (max {max} words)...",
+    "counter": "{used} / {max} words",
+    "button.submit": "Submit Argument",
+    "button.finish": "Finish Debate",
+    "button.help": "💡 Help me argue",
+    "button.help_left": "💡 Help me argue ({left} left)",
+    "button.evidence": "📚 Evidence",
+    "evidence.heading": "Evidence library",
+    "evidence.help": "Attach up to two facts, then explain in your own words how they support your point.",
+    "evidence.your_side": "your side",
+    "evidence.other_side": "other side",
+    "evidence.attach": "Attach",
+    "evidence.attached": "✓ Attached",
+    "evidence.citing": "📚 Citing: {list}",
+    "evidence.cited": "📚 Cited: {list}",
+    "coach.heading": "Need a hand? Finish one of these in your own words",
+    "coach.add": "Add this to your argument",
+    "coach.error": "Couldn’t get a hint right now — please try again.",
+    "hud.aria": "Who is winning",
+    "hud.student": "Student",
+    "hud.ai": "AI",
+    "hud.tied": "Neck and neck",
+    "rubric.heading": "Round scorecard",
+    "rubric.title": "Round {round} scorecard",
+    "reflection.heading": "Reflection",
+    "reflection.question": "Who made the stronger argument?",
+    "thoughts.heading": "AI Thought Process",
+    "thought.student": "Student: {text}",
+    "thought.ai": "AI: {text}",
+    "thought.thinking": "AI: Thinking…",
+    "thought.support": "AI: You’re not alone — please talk to a trusted adult. 💜",
+    "thought.error": "AI: (error) Please try again.",
+    "chat.ai": "AI",
+    "chat.student": "Student",
+    "popup.report": "See my report",
+    "popup.back_start": "Back to Start",
+    "popup.back_welcome": "Back to Welcome",
+    "intro.heading": "Welcome to the AI Debate Tool! 🎉",
+    "intro.rounds": "In this activity, you'll have a friendly debate with an AI assistant over {rounds} short rounds.",
+    "intro.polite": "💬 Be polite and use respectful language.",
+    "intro.support": "💡 Support your ideas with reasons and examples.",
+    "intro.listen": "🙌 Listen to the AI’s view — there are no right or wrong answers!",
+    "intro.finish": "Once you finish, press “Finish Debate” to end.",
+    "intro.ok": "Understood",
+    "topics.heading": "Choose a Debate Topic 🎯",
+    "topics.loading": "Loading topics…",
+    "topics.error": "Couldn’t load topics — please refresh the page.",
+    "topics.start": "Start Debate",
+    "side.heading": "Pick your side",
+    "side.question": "For the topic “{topic}”, are you FOR it or AGAINST it?",
+    "side.for": "I’m FOR",
+    "side.against": "I’m AGAINST",
+    "side.note": "The AI will argue the opposite side to keep the debate interesting.",
+    "side.pro": "PRO",
+    "side.con": "CON",
+    "side.for_word": "FOR",
+    "side.against_word": "AGAINST",
+    "side.opposite_word": "OPPOSITE",
+    "side.confirm": "Great! We’ll debate: “{topic}”. You are **{side}**; I’ll argue the **{opposite}** side. Keep arguments school-appropriate. 👍",
+    "support.heading": "💜 You matter",
+    "button.ok": "OK",
+    "chat.welcome": "Welcome, {name}. You chose {level}.",
+    "chat.start_error": "Could not start the debate — please go back and try again.",
+    "chat.no_session": "The debate session didn’t start — please go back to the welcome page.",
+    "chat.school_safe": "Let's keep this discussion school-safe.",
+    "chat.network_error": "Network error — please try again.",
+    "chat.connection_closed": "The connection closed before the AI finished — please try again.",
+    "alert.word_limit": "Please keep your argument under {max} words for {level}. You used {used}.",
+    "outline.strategy": "Strategy: {text}",
+    "outline.default": "• 🔍 Identify main idea\n• 🎯 Give one reason\n• 🧩 Add example\n• 🤝 Suggest compromise",
+    "lead.on_topic": " on “{topic}”",
+    "lead.r1.ai": "After Round 1{topic}, the AI is slightly ahead for clearer structure and examples.",
+    "lead.r1.student": "After Round 1{topic}, the student leads with relatable reasons and personal experience.",
+    "lead.r1.tied": "After Round 1{topic}, it’s very close — both sides made clear opening points.",
+    "lead.r2.ai": "After Round 2{topic}, the AI pulled ahead with tighter logic and focus.",
+    "lead.r2.student": "After Round 2{topic}, the student is ahead with stronger support and real-life links.",
+    "lead.r2.tied": "After Round 2{topic}, it’s still neck and neck — strong points on both sides.",
+    "lead.r3.ai": "After the final round{topic}, the AI edges ahead thanks to organized reasoning.",
+    "lead.r3.student": "After the final round{topic}, the student leads with convincing, well-supported ideas.",
+    "lead.r3.tied": "After the final round{topic}, it’s very close — thoughtful arguments from both sides.",
+    "result.violation_title": "🚫 Debate Ended Early",
+    "result.violation": "The debate was stopped because the rules were broken or school-unsafe language was used.",
+    "result.student_title": "🎉 You Won!",
+    "result.student": "Excellent job! Your arguments were strong, clear, and persuasive.",
+    "result.ai_title": "🤖 The AI Won This Time!",
+    "result.ai": "Great effort! Your ideas were thoughtful. Keep practicing your reasoning!",
+    "result.tied_title": "🤝 It’s a Tie!",
+    "result.tied": "Both sides made solid points and stayed on topic. Nice work!",
+
+    // room.html
+    "title.room": "AI Debate Tool – Debate Room",
+    "room_page.heading": "Debate Room",
+    "room_page.intro": "Debate a classmate! The AI is the moderator: it keeps score, keeps things fair, and decides the winner at the end.",
+    "room_page.code": "Room code",
+    "room_page.grade_placeholder": "e.g., 7",
+    "room_page.side": "Side",
+    "room_page.side_any": "Whichever side needs me",
+    "room_page.side_pro": "PRO (for the statement)",
+    "room_page.side_con": "CON (against the statement)",
+    "room_page.join": "Join room",
+    "room_page.topic": "“{topic}” · you are {side} ({name})",
+    "room_page.team_waiting": "waiting…",
+    "room_page.waiting": "Waiting for the other side to join…",
+    "room_page.over": "The debate is over.",
+    "room_page.round": "Round {round} of {max}{phase}",
+    "room_page.your_turn": "Your turn!",
+    "room_page.speaking": "{side} is speaking…",
+    "room_page.placeholder": "Your argument (max {max} words)…",
+    "room_page.wait_turn": "Wait for your turn…",
+    "room_page.moderator": "🎙️ Moderator: {text}",
+    "room_page.ahead": "{side} ahead",
+    "room_page.tie": "🤝 It’s a tie!",
+    "room_page.wins": "🏆 {side} wins",
+    "room_page.wins_you": "🏆 {side} wins — that’s you!",
+    "room_page.scorecard": "Your scorecard",
+    "room_page.scorecard_round": "Your round {round} scorecard",
+
+    // report.html
+    "title.report": "AI Debate Tool – Debate Report",
+    "report.print": "🖨️ Print",
+    "report.back": "Back to start",
+    "report.heading": "Debate report",
+    "report.chart_meter": "Who was winning",
+    "report.chart_meter_help": "Below the middle line = you were ahead. Above = the AI was ahead.",
+    "report.chart_writing": "Words & readability",
+    "report.legend_words": "words per argument",
+    "report.legend_readability": "reading grade level",
+    "report.suggestions": "Try this next time",
+    "report.transcript": "Transcript",
+    "report.winner.student": "🎉 You won!",
+    "report.winner.ai": "🤖 The AI won this time",
+    "report.winner.tied": "🤝 It was a tie",
+    "report.winner.ended_for_violation": "🚫 Ended early",
+    "report.winner.in_progress": "⏳ Still in progress",
+    "report.student": "Student",
+    "report.meta": "“{topic}” · argued {side} · {level}",
+    "report.stat_rounds": "rounds",
+    "report.stat_words": "avg words",
+    "report.stat_grade": "avg reading grade",
+    "report.stat_meter": "final meter",
+    "report.strongest": "⭐ Strongest round",
+    "report.weakest": "🔧 Round to work on",
+    "report.compare": "Play more rounds to compare.",
+    "report.round": "Round {round}",
+    "report.round_why": "Round {round}: {why}",
+    "report.words": "{count} words",
+    "report.grade": "grade {grade}",
+    "report.meter": "meter {meter}",
+    "report.you": "You: ",
+    "report.ai": "AI: ",
+    "report.cited": "📚 Cited: “{text}” — {source}",
+    "report.rubric": "Rubric: {scores}",
+    "report.error": "Could not load this report ({error})."
+  }
+};
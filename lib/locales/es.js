@@ -0,0 +1,361 @@
+// lib/locales/es.js – Spanish (español neutro, tuteo)
+export const locale = {
+  id: "es",
+  name: "Español",
+  language: "Spanish",
+  readability: "fernandez-huerta",
+
+  messages: {
+    "block.sexual": "Por favor, evita el contenido sexual explícito. Mantengamos el debate apropiado para la escuela.",
+    "block.harassment": "Nunca le digas a nadie que se haga daño. Mantengamos el debate amable y apropiado para la escuela.",
+    "block.default": "Por favor, evita las groserías fuertes y los insultos. Mantengamos el debate respetuoso y apropiado para la escuela.",
+    "block.warning": "{message} (Advertencia {active} de {threshold})",
+    "block.stop": "Tenemos que detener el debate ahora para que todo siga siendo apropiado para la escuela.",
+    "warn": "Ojo: usemos un lenguaje apropiado para la escuela. La próxima vez prueba con otra palabra.",
+
+    "support.message":
+      "Parece que estás pasando por algo muy difícil. No estás en problemas y no tienes que enfrentarlo sin ayuda. " +
+      "Por favor, habla hoy con un adulto de confianza, como tu maestra o maestro, el consejero de la escuela " +
+      "o alguien de tu familia.",
+    "support.resources": [
+      { name: "988 Línea de Prevención del Suicidio y Crisis", contact: "Llama al 988 y marca 2 para español, o envía un mensaje de texto al 988 (EE. UU.)" },
+      { name: "Crisis Text Line", contact: "Envía HOME por mensaje de texto al 741741 (EE. UU.)" },
+      { name: "El consejero de tu escuela", contact: "Pídele a tu maestra o maestro que te ayude a encontrarlo" }
+    ],
+
+    "reply.safe": "Déjame decirlo de otra manera: sigo viendo puntos fuertes en mi lado. ¿Me cuentas más sobre tus razones?",
+    "reply.fallback": "Es un punto interesante. Aquí tienes una idea para pensar sobre este tema.",
+    "reply.empty": "¡Gracias! Entiendo tu punto. Aquí tienes una idea para pensar sobre este tema.",
+
+    "meter.student": "Estudiante",
+    "meter.ai": "IA",
+    "meter.far": "{leader}: muy por delante",
+    "meter.clear": "{leader}: claramente por delante",
+    "meter.slight": "{leader}: un poco por delante",
+    "meter.tied": "Empate reñido",
+
+    "level.Beginner": "Principiante",
+    "level.Intermediate": "Intermedio",
+    "level.Normal": "Normal",
+    "level.Hard": "Difícil",
+    "level.Extreme": "Extremo",
+    "level.Adaptive": "Adaptativo",
+    "difficulty.up": "¡Vas muy bien! A partir de ahora voy a debatir en el nivel {level}.",
+    "difficulty.down": "Vamos a hacerlo un poco más fácil: por ahora voy a debatir en el nivel {level}.",
+
+    "error.unknown_language": "Idioma desconocido",
+    "error.unknown_difficulty": "Dificultad desconocida",
+    "error.unknown_side": "El lado debe ser \"pro\" o \"con\"",
+    "error.unknown_topic": "Tema desconocido",
+    "error.finished": "Este debate ya terminó.",
+    "error.in_flight": "Espera a que la IA responda tu último argumento.",
+    "error.out_of_order": "Turno fuera de orden: este debate va en la ronda {round}.",
+    "error.too_long": "Tu argumento debe tener menos de {max} palabras.",
+    "error.too_many_citations": "Puedes citar hasta {max} pruebas por turno.",
+    "error.unknown_evidence": "Esa prueba no está en la biblioteca de este tema.",
+    "error.failed": "No se pudo obtener la respuesta de la IA.",
+    "error.unknown_class": "Código de clase desconocido",
+    "error.roster": "No estás en la lista de {class}. Revisa tu nombre con tu maestra o maestro.",
+    "error.assignment_difficulty": "Esta tarea usa la dificultad {list}.",
+    "error.assignment_topic": "Ese tema no es parte de esta tarea.",
+    "list.or": " o ",
+
+    "coach.wait": "Espera a que la IA termine primero.",
+    "coach.out_of_hints": "Ya usaste tus {limit} pistas de este debate. ¡Tú puedes!",
+    "coach.failed": "No se pudo obtener una pista ahora. Inténtalo de nuevo.",
+
+    "explain.need_reason": "Agrega una razón con “porque…” para apoyar tu postura.",
+    "explain.need_evidence": "Da un ejemplo real o un dato que apoye tu razón.",
+    "explain.answer_ai": "Responde directamente al punto principal de la IA y luego repite por qué tu lado es más fuerte.",
+    "explain.step_reason": "🎯 Razón: {text}",
+    "explain.step_evidence": "🧩 Evidencia: {text}",
+    "explain.step_ai_claim": "🤖 La IA dice: {text}",
+    "explain.step_ai_reason": "🔁 Razón de la IA: {text}",
+
+    "phase.debate": "Debate",
+    "phase.opening": "Declaración inicial",
+    "phase.cross_examination": "Interrogatorio",
+    "phase.rebuttal": "Refutación",
+    "phase.closing": "Declaración final",
+    "prompt.structured.opening": "Declaración inicial: di lo que piensas y da tus dos mejores razones.",
+    "prompt.structured.cross_examination": "Interrogatorio: hazle a la IA una pregunta precisa sobre su argumento.",
+    "prompt.structured.rebuttal": "Refutación: responde al punto más fuerte de la IA y luego muestra por qué el tuyo sigue en pie.",
+    "prompt.structured.closing": "Declaración final: resume por qué gana tu lado. ¡Sin argumentos nuevos!",
+    "prompt.quick.opening": "Declaración inicial: di lo que piensas y por qué.",
+    "prompt.quick.rebuttal": "Refutación: responde al punto principal de la IA.",
+    "prompt.quick.closing": "Declaración final: resume por qué gana tu lado.",
+
+    "room.waiting": "Esperando a que se una el otro lado.",
+    "room.scoring": "Espera a que el moderador termine de calificar el último turno.",
+    "room.not_your_turn": "Es el turno de {side}.",
+    "room.failed": "No se pudo calificar ese turno.",
+    "room.thanks_last": "Gracias, {side}. Ese fue el último turno: ahora decide el juez.",
+    "room.thanks_next": "Gracias, {side}. {next}, es tu turno: responde a su punto principal.",
+    "room.judge_tied": "Los dos lados sacaron más o menos la misma puntuación en la rúbrica.",
+    "room.judge_leader": "{side} sacó, en promedio, una puntuación más alta en la rúbrica.",
+    "room.stopped_reason": "El debate se detuvo porque {side} llegó a {threshold} advertencias.",
+    "room.stopped_notice": "El moderador detuvo el debate: {side} llegó a {threshold} advertencias.",
+    "room.blocked_notice": "El último mensaje de {side} fue bloqueado (advertencia {active} de {threshold}).",
+    "room.closed": "Tu maestra o maestro cerró esta sala.",
+    "room.unknown": "Código de sala desconocido",
+    "room.name_required": "Escribe tu nombre y la inicial de tu apellido",
+    "room.already_joined": "{name} ya se unió a esta sala. Vuelve a entrar desde el navegador con el que te uniste.",
+    "room.team_full": "El equipo {side} está lleno ({size} estudiantes).",
+    "room.not_member": "No estás en esta sala",
+    "room.missing_message": "Falta el mensaje",
+
+    "demo.argument": "Creo que “{topic}” es correcto porque {point}. Por ejemplo, los estudiantes y los maestros notarían la diferencia muy rápido.",
+    "demo.point": "ayuda a más personas de las que perjudica",
+    "demo.this_idea": "esta idea",
+    "demo.finished": "Esta demostración ya terminó.",
+    "demo.in_flight": "La última ronda todavía se está jugando.",
+    "demo.failed": "No se pudo jugar la siguiente ronda.",
+
+    // Overrides for lib/rubric.js (RUBRIC_CRITERIA labels and tips)
+    "rubric": {
+      claim:     { label: "Postura clara", tip: "Empieza con una oración clara que diga lo que piensas." },
+      reasoning: { label: "Razonamiento", tip: "Explica por qué: agrega un “porque…” o “esto significa…” a tu postura." },
+      evidence:  { label: "Evidencia", tip: "Apóyalo con un ejemplo, un dato o algo que hayas visto pasar." },
+      rebuttal:  { label: "Refutación", tip: "Responde directamente al último punto de la IA antes de agregar el tuyo." },
+      respect:   { label: "Respeto", tip: "Sé amable: discute la idea, no a la persona." },
+      great: "¡Un gran argumento en todo sentido! ¡Sigue así!"
+    },
+
+    // Overrides for lib/coach.js (COACH_TEXT)
+    "coach": {
+      starters: {
+        opening: ["Yo creo que … porque …", "La razón más importante es …", "Por ejemplo, …"],
+        question: ["Dijiste que …, pero ¿qué pasa cuando …?", "¿Cómo sabes que …?", "¿No sería … un problema para tu lado?"],
+        rebuttal: ["Dijiste que …, pero …", "Eso puede ser cierto; sin embargo, …", "Aunque …, es más importante que …"],
+        closing: ["Al final, mi lado es más fuerte porque …", "La IA dijo que …, pero mi mejor punto sigue en pie: …", "Así que lo más importante es …"]
+      },
+      question_opening: "¿Por qué “{topic}” es importante para estudiantes como tú? Elige primero la razón que defenderías.",
+      question_closing: "¿Cuál de tus puntos nunca respondió bien la IA? Termina con ese.",
+      question_rebuttal: "La IA dijo: “{said}” ¿Eso siempre es cierto? ¿Cuándo podría no serlo?",
+      counter_rebuttal: "Piensa en una situación real (en la escuela, en casa o en las noticias) en la que el punto de la IA no se cumpla.",
+      counter_rebuttal_point: " Por ejemplo, una vez en que {point}.",
+      counter_support: "Piensa en un ejemplo real que apoye tu lado.",
+      counter_support_point: "Piensa en un ejemplo real que apoye tu lado, como una vez en que {point}."
+    },
+
+    // Overrides for lib/report.js (REPORT_TEXT)
+    "report": {
+      best_meter: "En esta ronda el medidor se movió más a tu favor.",
+      worst_meter: "En esta ronda el medidor se movió más hacia la IA.",
+      best_balanced: "Un argumento sólido y equilibrado.",
+      worst_balanced: "Todas las partes estuvieron bien, pero ninguna destacó.",
+      best: "Puntos fuertes: {list}.",
+      worst: "Faltó más: {list}.",
+      short_turns: "Tus argumentos tuvieron {words} palabras en promedio. Intenta escribir 2 o 3 oraciones completas en cada ronda.",
+      readability_low: "Intenta unir oraciones cortas con palabras como “porque”, “aunque” o “esto significa”.",
+      readability_high: "Algunas oraciones fueron largas y difíciles de seguir. Intenta dividirlas en oraciones más cortas.",
+      drifted_one: "En 1 ronda te saliste del tema. Relaciona cada punto con la pregunta del debate.",
+      drifted: "En {count} rondas te saliste del tema. Relaciona cada punto con la pregunta del debate.",
+      violations: "Mantén cada mensaje apropiado para la escuela: los mensajes bloqueados no cuentan para tu puntaje.",
+      great: "¡Buen trabajo! La próxima vez, prueba una dificultad más alta o defiende el otro lado."
+    }
+  },
+
+  ui: {
+    "title.welcome": "Herramienta de Debate con IA – Bienvenida",
+    "title.debate": "Herramienta de Debate con IA",
+
+    "welcome.heading": "Bienvenido a la Herramienta de Debate con IA",
+    "welcome.subtitle": "Vas a practicar cómo argumentar debatiendo con una IA en una conversación corta y amistosa. Cuéntanos un poco sobre ti para empezar.",
+    "field.language": "Idioma",
+    "field.first_name": "Nombre",
+    "field.last_initial": "Inicial del apellido",
+    "field.last_initial_help": "Una letra (A–Z)",
+    "field.grade": "Grado",
+    "grade.select": "Elige tu grado",
+    "grade.6": "6.º grado",
+    "grade.7": "7.º grado",
+    "grade.8": "8.º grado",
+    "grade.other": "Otro / Universidad / Adulto",
+    "field.grade_other": "Escribe tu grado o nivel",
+    "grade_other.placeholder": "Solo si eliges «Otro»",
+    "grade_other.placeholder_on": "p. ej., 9.º grado, primer año de universidad, adulto",
+    "field.difficulty": "Dificultad",
+    "difficulty.select": "Elige la dificultad",
+    "difficulty.Beginner": "Principiante (la IA es muy amable)",
+    "difficulty.Intermediate": "Intermedio",
+    "difficulty.Normal": "Normal",
+    "difficulty.Hard": "Difícil",
+    "difficulty.Extreme": "Extremo (la IA es muy exigente)",
+    "difficulty.Adaptive": "Adaptativo (la IA se ajusta a ti)",
+    "field.class_code": "Código de clase",
+    "class_code.placeholder": "Solo si tu maestra o maestro te dio uno",
+    "class_code.help": "El código de tu maestra o maestro fija los temas y la dificultad.",
+    "class_code.error": "No se pudo revisar ese código de clase.",
+    "class_code.summary": "✅ {class} · {rounds} rondas{format}{due}",
+    "class_code.due": " · fecha de entrega {date}",
+    "class_code.past_due": " (atrasado)",
+    "button.start": "Empezar a debatir",
+    "alert.fill_all": "Completa todos los campos antes de empezar.",
+    "alert.grade_other": "Escribe tu grado o nivel si eliges «Otro».",
+    "alert.assignment_difficulty": "Esta tarea usa la dificultad {list}.",
+    "list.or": " o ",
+
+    "level.Beginner": "Principiante",
+    "level.Intermediate": "Intermedio",
+    "level.Normal": "Normal",
+    "level.Hard": "Difícil",
+    "level.Extreme": "Extremo",
+    "level.Adaptive": "Adaptativo",
+
+    "round.tracker": "Ronda {round} de {max}{phase}",
+    "input.placeholder": "Escribe tu argumento (máximo {max} palabras)...",
+    "counter": "{used} / {max} palabras",
+    "button.submit": "Enviar argumento",
+    "button.finish": "Terminar el debate",
+    "button.help": "💡 Ayúdame a argumentar",
+    "button.help_left": "💡 Ayúdame a argumentar (quedan {left})",
+    "button.evidence": "📚 Evidencia",
+    "evidence.heading": "Biblioteca de evidencia",
+    "evidence.help": "Adjunta hasta dos datos y luego explica con tus propias palabras cómo apoyan tu punto.",
+    "evidence.your_side": "tu lado",
+    "evidence.other_side": "el otro lado",
+    "evidence.attach": "Adjuntar",
+    "evidence.attached": "✓ Adjuntado",
+    "evidence.citing": "📚 Citando: {list}",
+    "evidence.cited": "📚 Citado: {list}",
+    "coach.heading": "¿Necesitas ayuda? Completa una de estas frases con tus propias palabras",
+    "coach.add": "Agregar esto a tu argumento",
+    "coach.error": "No se pudo obtener una pista ahora. Inténtalo de nuevo.",
+    "hud.aria": "Quién va ganando",
+    "hud.student": "Estudiante",
+    "hud.ai": "IA",
+    "hud.tied": "Empate reñido",
+    "rubric.heading": "Puntuación de la ronda",
+    "rubric.title": "Puntuación de la ronda {round}",
+    "reflection.heading": "Reflexión",
+    "reflection.question": "¿Quién dio el argumento más fuerte?",
+    "thoughts.heading": "Lo que piensa la IA",
+    "thought.student": "Estudiante: {text}",
+    "thought.ai": "IA: {text}",
+    "thought.thinking": "IA: Pensando…",
+    "thought.support": "IA: No estás solo. Por favor, habla con un adulto de confianza. 💜",
+    "thought.error": "IA: (error) Inténtalo de nuevo.",
+    "chat.ai": "IA",
+    "chat.student": "Estudiante",
+    "popup.report": "Ver mi informe",
+    "popup.back_start": "Volver al inicio",
+    "popup.back_welcome": "Volver a la bienvenida",
+    "intro.heading": "¡Bienvenido a la Herramienta de Debate con IA! 🎉",
+    "intro.rounds": "En esta actividad vas a tener un debate amistoso con una IA en {rounds} rondas cortas.",
+    "intro.polite": "💬 Sé cortés y usa un lenguaje respetuoso.",
+    "intro.support": "💡 Apoya tus ideas con razones y ejemplos.",
+    "intro.listen": "🙌 Escucha lo que opina la IA: ¡no hay respuestas correctas ni incorrectas!",
+    "intro.finish": "Cuando termines, presiona “Terminar el debate”.",
+    "intro.ok": "Entendido",
+    "topics.heading": "Elige un tema para debatir 🎯",
+    "topics.loading": "Cargando temas…",
+    "topics.error": "No se pudieron cargar los temas. Vuelve a cargar la página.",
+    "topics.start": "Empezar el debate",
+    "side.heading": "Elige tu lado",
+    "side.question": "Sobre el tema “{topic}”, ¿estás A FAVOR o EN CONTRA?",
+    "side.for": "Estoy A FAVOR",
+    "side.against": "Estoy EN CONTRA",
+    "side.note": "La IA defenderá el lado contrario para que el debate sea interesante.",
+    "side.pro": "A FAVOR",
+    "side.con": "EN CONTRA",
+    "side.for_word": "A FAVOR",
+    "side.against_word": "EN CONTRA",
+    "side.opposite_word": "CONTRARIO",
+    "side.confirm": "¡Genial! Vamos a debatir: “{topic}”. Tú estás **{side}**; yo defenderé el lado **{opposite}**. Usa argumentos apropiados para la escuela. 👍",
+    "support.heading": "💜 Tú importas",
+    "button.ok": "De acuerdo",
+    "chat.welcome": "Bienvenido, {name}. Elegiste el nivel {level}.",
+    "chat.start_error": "No se pudo empezar el debate. Vuelve atrás e inténtalo de nuevo.",
+    "chat.no_session": "La sesión de debate no empezó. Vuelve a la página de bienvenida.",
+    "chat.school_safe": "Mantengamos esta conversación apropiada para la escuela.",
+    "chat.network_error": "Error de conexión. Inténtalo de nuevo.",
+    "chat.connection_closed": "La conexión se cerró antes de que la IA terminara. Inténtalo de nuevo.",
+    "alert.word_limit": "Tu argumento debe tener menos de {max} palabras en el nivel {level}. Usaste {used}.",
+    "outline.strategy": "Estrategia: {text}",
+    "outline.default": "• 🔍 Identifica la idea principal\n• 🎯 Da una razón\n• 🧩 Agrega un ejemplo\n• 🤝 Propón un acuerdo",
+    "lead.on_topic": " sobre “{topic}”",
+    "lead.r1.ai": "Después de la ronda 1{topic}, la IA va un poco por delante por su estructura y sus ejemplos más claros.",
+    "lead.r1.student": "Después de la ronda 1{topic}, el estudiante va ganando con razones cercanas y experiencias personales.",
+    "lead.r1.tied": "Después de la ronda 1{topic}, está muy parejo: los dos lados empezaron con puntos claros.",
+    "lead.r2.ai": "Después de la ronda 2{topic}, la IA tomó ventaja con una lógica más precisa y enfocada.",
+    "lead.r2.student": "Después de la ronda 2{topic}, el estudiante va ganando con mejor apoyo y ejemplos de la vida real.",
+    "lead.r2.tied": "Después de la ronda 2{topic}, sigue el empate: hay puntos fuertes en los dos lados.",
+    "lead.r3.ai": "Después de la última ronda{topic}, la IA va un poco por delante gracias a su razonamiento ordenado.",
+    "lead.r3.student": "Después de la última ronda{topic}, el estudiante va ganando con ideas convincentes y bien apoyadas.",
+    "lead.r3.tied": "Después de la última ronda{topic}, está muy parejo: hubo argumentos pensados en los dos lados.",
+    "result.violation_title": "🚫 El debate terminó antes de tiempo",
+    "result.violation": "El debate se detuvo porque no se respetaron las reglas o se usó lenguaje inapropiado para la escuela.",
+    "result.student_title": "🎉 ¡Ganaste!",
+    "result.student": "¡Excelente trabajo! Tus argumentos fueron fuertes, claros y convincentes.",
+    "result.ai_title": "🤖 ¡Esta vez ganó la IA!",
+    "result.ai": "¡Buen esfuerzo! Tus ideas fueron interesantes. ¡Sigue practicando tu razonamiento!",
+    "result.tied_title": "🤝 ¡Es un empate!",
+    "result.tied": "Los dos lados dieron buenos argumentos y no se salieron del tema. ¡Buen trabajo!",
+
+    // room.html
+    "title.room": "AI Debate Tool – Sala de debate",
+    "room_page.heading": "Sala de debate",
+    "room_page.intro": "¡Debate con un compañero o compañera! La IA es la moderadora: lleva la puntuación, cuida que todo sea justo y decide quién gana al final.",
+    "room_page.code": "Código de la sala",
+    "room_page.grade_placeholder": "p. ej., 7",
+    "room_page.side": "Lado",
+    "room_page.side_any": "El lado que me necesite",
+    "room_page.side_pro": "PRO (a favor de la afirmación)",
+    "room_page.side_con": "CON (en contra de la afirmación)",
+    "room_page.join": "Entrar a la sala",
+    "room_page.topic": "“{topic}” · eres {side} ({name})",
+    "room_page.team_waiting": "esperando…",
+    "room_page.waiting": "Esperando a que se una el otro lado…",
+    "room_page.over": "El debate terminó.",
+    "room_page.round": "Ronda {round} de {max}{phase}",
+    "room_page.your_turn": "¡Es tu turno!",
+    "room_page.speaking": "{side} está hablando…",
+    "room_page.placeholder": "Tu argumento (máximo {max} palabras)…",
+    "room_page.wait_turn": "Espera tu turno…",
+    "room_page.moderator": "🎙️ Moderadora: {text}",
+    "room_page.ahead": "{side} va ganando",
+    "room_page.tie": "🤝 ¡Es un empate!",
+    "room_page.wins": "🏆 Gana {side}",
+    "room_page.wins_you": "🏆 Gana {side}: ¡ese eres tú!",
+    "room_page.scorecard": "Tu tarjeta de puntuación",
+    "room_page.scorecard_round": "Tu tarjeta de la ronda {round}",
+
+    // report.html
+    "title.report": "AI Debate Tool – Informe del debate",
+    "report.print": "🖨️ Imprimir",
+    "report.back": "Volver al inicio",
+    "report.heading": "Informe del debate",
+    "report.chart_meter": "Quién iba ganando",
+    "report.chart_meter_help": "Debajo de la línea del medio = ibas ganando tú. Arriba = iba ganando la IA.",
+    "report.chart_writing": "Palabras y legibilidad",
+    "report.legend_words": "palabras por argumento",
+    "report.legend_readability": "nivel de lectura (grado escolar)",
+    "report.suggestions": "Prueba esto la próxima vez",
+    "report.transcript": "Transcripción",
+    "report.winner.student": "🎉 ¡Ganaste!",
+    "report.winner.ai": "🤖 Esta vez ganó la IA",
+    "report.winner.tied": "🤝 Fue un empate",
+    "report.winner.ended_for_violation": "🚫 Terminó antes de tiempo",
+    "report.winner.in_progress": "⏳ Todavía en curso",
+    "report.student": "Estudiante",
+    "report.meta": "“{topic}” · lado: {side} · {level}",
+    "report.stat_rounds": "rondas",
+    "report.stat_words": "palabras en promedio",
+    "report.stat_grade": "nivel de lectura promedio",
+    "report.stat_meter": "medidor final",
+    "report.strongest": "⭐ Tu mejor ronda",
+    "report.weakest": "🔧 Ronda para mejorar",
+    "report.compare": "Juega más rondas para comparar.",
+    "report.round": "Ronda {round}",
+    "report.round_why": "Ronda {round}: {why}",
+    "report.words": "{count} palabras",
+    "report.grade": "nivel {grade}",
+    "report.meter": "medidor {meter}",
+    "report.you": "Tú: ",
+    "report.ai": "IA: ",
+    "report.cited": "📚 Citaste: “{text}” — {source}",
+    "report.rubric": "Rúbrica: {scores}",
+    "report.error": "No se pudo cargar este informe ({error})."
+  }
+};
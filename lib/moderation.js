@@ -0,0 +1,281 @@
+// lib/moderation.js – normalizing content filter with severity tiers
+//
+// createModerator(config).check(text, { locale }) → {
+//   flagged, action, tier, category, term   // most severe match (action "allow" if none)
+//   matches: [{ term, tier, category }]
+// }
+//
+// Tiers (most → least severe): "severe", "strong", "mild".
+// Each tier maps to an action: "block" (turn rejected, counts as a strike),
+// "warn" (turn goes through with a reminder) or "allow" (logged only).
+// Safety categories (self-harm) always get action "support" instead: the
+// student is shown help resources and nothing counts against them.
+//
+// Config (all optional; see DEFAULT_MODERATION):
+// {
+//   actions:  { severe, strong, mild },       // per-tier action
+//   allow:    [string],                       // words/phrases never flagged
+//   extra:    { severe: [...], strong: [...], mild: [...] },  // added terms (category "custom")
+//   listTier: "mild",                         // tier for profane-words entries we don't curate
+//   locales:  { es: { allow, extra } }        // more allow/extra terms for one language
+// }
+//
+// Terms ending in "*" match any word starting with them ("fuck*" → "fucking").
+// Terms are matched without accents, like the text ("cállate" → "callate").
+// Obfuscated spellings are read through, so "sh!t", "f u c k", "fuuuck",
+// "sh!!t" and "st00pid" are caught, while "7am", "n00b", "good book" and
+// "Scunthorpe" are allowed.
+//
+// Languages: the English lists always apply (students mix languages); a
+// check with { locale } adds that language's curated terms and allow-list
+// (CURATED_BY_LOCALE). Terms whose accent-free spelling is an everyday word
+// are left out, e.g. "coño" would also catch "cono" (cone).
+import profaneWords from 'profane-words';
+
+export const TIERS = ["severe", "strong", "mild"];
+export const SAFETY_CATEGORIES = ["self_harm"];
+
+const CURATED = [
+  { tier: "severe", category: "sexual", terms: [
+    "rape*", "porn*", "xxx", "onlyfans", "nude*", "naked", "sexual act", "masturbat*",
+    "jerk off", "jerking off", "blowjob*", "dildo*"
+  ] },
+  { tier: "severe", category: "self_harm", terms: [
+    "suicide*", "suicidal", "kill myself", "killing myself", "self harm*", "selfharm*",
+    "cut myself", "cutting myself", "hurt myself", "hurting myself", "want to die", "end my life"
+  ] },
+  { tier: "severe", category: "harassment", terms: [
+    "kill yourself", "kys", "go die"
+  ] },
+  { tier: "severe", category: "slur", terms: [
+    "nigga*", "nigger*", "beaner*", "faggot*", "fag", "fags", "faggetry", "retard*", "chink*",
+    "spic", "spics", "kike*", "tranny", "trannies", "wetback*"
+  ] },
+  { tier: "strong", category: "profanity", terms: [
+    "fuck*", "motherfuck*", "shit*", "bullshit*", "bitch*", "asshole*", "bastard*", "dick", "dicks",
+    "dickhead*", "pussy", "pussies", "cocksucker*", "whore*", "slut*", "cunt*", "twat*", "wanker*"
+  ] },
+  { tier: "mild", category: "mild_language", terms: [
+    "ass", "arse", "damn*", "crap*", "hell", "piss*", "sucks", "screw you", "shut up", "stupid", "idiot*", "dumb"
+  ] }
+];
+
+// Curated terms and allow-list per language, on top of the English ones
+const CURATED_BY_LOCALE = {
+  es: {
+    terms: [
+      { tier: "severe", category: "sexual", terms: [
+        "porno*", "masturb*", "desnud*", "follar", "mamada*"
+      ] },
+      { tier: "severe", category: "self_harm", terms: [
+        "suicid*", "matarme", "quiero morir", "quiero morirme", "me quiero morir", "cortarme",
+        "hacerme daño", "autolesion*", "quitarme la vida", "acabar con mi vida"
+      ] },
+      { tier: "severe", category: "harassment", terms: [
+        "matate", "suicidate", "muerete", "vete a morir"
+      ] },
+      { tier: "severe", category: "slur", terms: [
+        "maricon*", "marica", "maricas", "sudaca*", "subnormal*"
+      ] },
+      { tier: "strong", category: "profanity", terms: [
+        "puta*", "puto", "putos", "mierda*", "cabron*", "joder", "jodid*", "chinga*", "pendej*",
+        "verga*", "culero*", "gilipollas"
+      ] },
+      { tier: "mild", category: "mild_language", terms: [
+        "idiota*", "estupid*", "tonto", "tonta", "tontos", "tontas", "imbecil*", "callate",
+        "maldito", "maldita", "carajo", "pinche", "pinches", "culo"
+      ] }
+    ],
+    // Everyday Spanish that the English wordlist would otherwise catch
+    allow: ["negro", "negra", "negros", "negras", "sexo", "educación sexual", "acoso sexual", "putativo"]
+  }
+};
+
+export const DEFAULT_MODERATION = {
+  actions: { severe: "block", strong: "block", mild: "warn" },
+  // Normal school vocabulary that the wordlists would otherwise catch
+  allow: [
+    "abuse", "sex education", "sex ed", "sexual harassment", "breast cancer", "homo sapiens",
+    "dickens", "shiitake", "shitake", "scunthorpe", "cocktail", "rapeseed", "retardant",
+    "hell of a", "spick and span"
+  ],
+  extra: { severe: [], strong: [], mild: [] },
+  listTier: "mild"
+};
+
+/* ----------------------------- Normalization ----------------------------- */
+
+// Cyrillic/Greek/fullwidth letters that look like Latin ones
+const LOOKALIKES = {
+  "а": "a", "в": "b", "е": "e", "ё": "e", "к": "k", "м": "m", "н": "h", "о": "o", "р": "p",
+  "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ї": "i", "ј": "j", "ѕ": "s", "ԁ": "d",
+  "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v", "ο": "o", "ρ": "p",
+  "τ": "t", "υ": "u", "χ": "x", "ω": "w", "ß": "ss", "ø": "o", "ł": "l", "đ": "d"
+};
+const LEET = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "!": "i", "+": "t", "|": "l", "€": "e", "£": "l" };
+const LEET_CHARS = "013457893@$!+|€£";
+
+export function normalize(text = "") {
+  let t = text.normalize("NFKC").toLowerCase();
+  t = t.replace(/[^\x00-\x7f]/g, ch => LOOKALIKES[ch] ?? ch);
+  t = t.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  // zero-width and soft-hyphen tricks
+  return t.replace(/[\u200b-\u200f\u00ad\u2060\ufeff]/g, "");
+}
+
+// Undo leetspeak inside a token only when it mixes letters and leet
+// characters (or is all symbols, like "@$$"), so "7am" and "2024" stay put.
+function deleet(token) {
+  const hasLetter = /[a-z]/.test(token);
+  const leetCount = [...token].filter(c => LEET_CHARS.includes(c)).length;
+  if (!leetCount) return token;
+  if (!hasLetter && !/^[@$!|+€£]{2,}$/.test(token)) return token;
+  if (hasLetter && /^\d/.test(token) && /^\d+[a-z]{1,3}$/.test(token)) return token;   // 7am, 3rd, 10th
+  return [...token].map(c => LEET[c] ?? c).join("");
+}
+
+// Every way we read the text: plain words, de-leeted words, squeezed
+// repeats ("fuuuck"), letters doubled by de-leeting ("st00pid" → "stoopid",
+// read as "stupid"; "sh!!t" → "shiit", read as "shit") and spelled-out
+// letters ("f u c k", "f.u.c.k").
+function readings(text) {
+  const norm = normalize(text);
+  const rawTokens = norm.split(/[^a-z0-9@$!+|€£*'-]+/).filter(Boolean);
+
+  const words = [];
+  const variants = new Set();
+  for (const raw of rawTokens) {
+    const tok = deleet(raw).replace(/[^a-z]/g, "");
+    if (!tok) continue;
+    words.push(tok);
+    // Only doubles the leet made: "book" and "good" are left alone. "00" is
+    // read as the "u" it stands for, not squeezed ("n00b" isn't "nob").
+    if ([...tok.matchAll(/(.)\1/g)].some(([pair]) => !raw.includes(pair))) {
+      variants.add(tok.replace(/([^o])\1+/g, "$1"));
+      variants.add(tok.replace(/oo/g, "u"));
+    }
+  }
+
+  for (const w of words) {
+    if (/(.)\1\1/.test(w)) {
+      variants.add(w.replace(/(.)\1+/g, "$1"));
+      variants.add(w.replace(/(.)\1+/g, "$1$1"));
+    }
+    // "f*ck" / "sh!t" already de-leeted; masked letters become gaps
+  }
+
+  // Single letters separated by spaces/dots/dashes, three or more in a row
+  const spelled = norm.match(/\b(?:[a-z0-9@$][\s._*-]+){2,}[a-z0-9@$]\b/g) || [];
+  for (const run of spelled) {
+    variants.add(deleet(run.replace(/[\s._*-]+/g, "")).replace(/[^a-z]/g, ""));
+  }
+
+  return { words, variants: [...variants], phrase: ` ${words.join(" ")} ` };
+}
+
+/* ------------------------------- Moderator ------------------------------- */
+
+function compileTerms(config, locale) {
+  const exact = new Map();     // word → { term, tier, category }
+  const prefixes = [];         // [{ stem, term, tier, category }]
+  const phrases = [];          // multi-word terms, matched on the joined word list
+  const seen = new Set();
+
+  const add = (rawTerm, tier, category) => {
+    const term = normalize(rawTerm).trim();
+    if (!term || seen.has(term)) return;
+    seen.add(term);
+    const entry = { term, tier, category };
+    if (term.includes(" ")) phrases.push({ ...entry, text: ` ${term.replace(/\*$/, "")}` });
+    else if (term.endsWith("*")) prefixes.push({ ...entry, stem: term.slice(0, -1) });
+    else exact.set(term, entry);
+  };
+
+  // Curated + custom terms first so they win over the generic wordlist
+  CURATED.forEach(g => g.terms.forEach(t => add(t, g.tier, g.category)));
+  (CURATED_BY_LOCALE[locale]?.terms || []).forEach(g => g.terms.forEach(t => add(t, g.tier, g.category)));
+  TIERS.forEach(tier => (config.extra?.[tier] || []).forEach(t => add(t, tier, "custom")));
+  TIERS.forEach(tier => (config.locales?.[locale]?.extra?.[tier] || []).forEach(t => add(t, tier, "custom")));
+
+  const list = Array.isArray(profaneWords) ? profaneWords : (profaneWords?.default || []);
+  list.forEach(t => {
+    const words = normalize(t).split(/\s+/).map(w => deleet(w).replace(/[^a-z]/g, "")).filter(Boolean);
+    add(words.join(" "), config.listTier, "wordlist");
+  });
+
+  return { exact, prefixes, phrases };
+}
+
+export function createModerator(userConfig = {}) {
+  const config = {
+    ...DEFAULT_MODERATION,
+    ...userConfig,
+    actions: { ...DEFAULT_MODERATION.actions, ...(userConfig.actions || {}) },
+    allow: [...DEFAULT_MODERATION.allow, ...(userConfig.allow || [])]
+  };
+
+  // Compiled terms + allow-list per locale ("" = English only), built on first use
+  const indexes = new Map();
+  function indexFor(locale) {
+    const key = CURATED_BY_LOCALE[locale] || config.locales?.[locale] ? locale : "";
+    if (indexes.has(key)) return indexes.get(key);
+
+    const { exact, prefixes, phrases } = compileTerms(config, key);
+    const allow = [...config.allow, ...(CURATED_BY_LOCALE[key]?.allow || []), ...(config.locales?.[key]?.allow || [])];
+    const allowWords = new Set(allow.filter(a => !a.includes(" ")).map(a => normalize(a)));
+    const allowPhrases = allow.filter(a => a.includes(" ")).map(a => ` ${normalize(a)} `);
+
+    // Most severe entry for a word ("fuck" is both a wordlist word and "fuck*")
+    const lookupWord = (w) => {
+      if (allowWords.has(w)) return null;
+      const hits = prefixes.filter(p => w.startsWith(p.stem))
+        .map(({ term, tier, category }) => ({ term, tier, category }));
+      if (exact.has(w)) hits.push(exact.get(w));
+      hits.sort((a, b) => TIERS.indexOf(a.tier) - TIERS.indexOf(b.tier));
+      return hits[0] || null;
+    };
+    const index = { phrases, allowPhrases, lookupWord };
+    indexes.set(key, index);
+    return index;
+  }
+
+  function check(text = "", { locale = "" } = {}) {
+    const { phrases, allowPhrases, lookupWord } = indexFor(locale);
+    const { words, variants, phrase: joined } = readings(text);
+
+    // Allowed phrases are cut out before matching ("sex education")
+    let phrase = joined;
+    allowPhrases.forEach(a => { phrase = phrase.split(a).join(" "); });
+    const allowedWords = new Set(phrase.trim().split(" "));
+
+    const matches = [];
+    for (const w of [...words, ...variants]) {
+      if (!allowedWords.has(w) && words.includes(w)) continue;   // word only appears inside an allowed phrase
+      const hit = lookupWord(w);
+      if (hit) matches.push(hit);
+    }
+    for (const p of phrases) {
+      if (phrase.includes(`${p.text} `) || (p.term.endsWith("*") && phrase.includes(p.text))) {
+        matches.push({ term: p.term, tier: p.tier, category: p.category });
+      }
+    }
+
+    if (!matches.length) {
+      return { flagged: false, action: "allow", tier: null, category: null, term: null, matches: [] };
+    }
+    matches.sort((a, b) => TIERS.indexOf(a.tier) - TIERS.indexOf(b.tier));
+    // A possible self-harm disclosure outranks everything else in the message
+    const top = matches.find(m => SAFETY_CATEGORIES.includes(m.category)) || matches[0];
+    return {
+      flagged: true,
+      action: SAFETY_CATEGORIES.includes(top.category) ? "support" : (config.actions[top.tier] || "block"),
+      tier: top.tier,
+      category: top.category,
+      term: top.term,
+      matches
+    };
+  }
+
+  return { check, config };
+}
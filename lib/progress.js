@@ -0,0 +1,113 @@
+// lib/progress.js – a rostered student's progress across all their debates
+//
+// buildProgress(student, sessions, summarize) → {
+//   student:   { id, first_name, last_initial },
+//   totals:    { debates, finished, rounds, avg_words, readability_avg, violations, win_rate },
+//   debates:   [{ session_id, start_ts, topic, difficulty, finished, winner, rounds,
+//                 avg_words, readability, violations, rubric_avg }],      // oldest first
+//   trend:     { readability: [n|null], words: [n|null], violations: [n],
+//                rubric: { <criterion>: [n|null] } },                      // one point per debate
+//   by_difficulty: { <difficulty>: { played, won, lost, tied, ended, win_rate } },
+//   growth:    { readability, words, rubric: { <criterion> } }             // recent − early, or null
+// }
+// `sessions` are the student's session records; summarize(session) gives the
+// stats used by the dashboard (finished summary or live stats).
+import { RUBRIC_CRITERIA } from './rubric.js';
+import { sameStudent } from './classes.js';
+
+// Debates compared at each end of the term for `growth`
+const GROWTH_WINDOW = 3;
+
+const avg = list => list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+const round2 = n => (n === null ? null : +n.toFixed(2));
+const nums = list => list.filter(n => typeof n === "number");
+
+// Debates against the AI recorded against this roster entry. Sessions from
+// before roster ids existed are matched by name; student-vs-student debates
+// and AI demos (any settings.mode) are left out.
+export function studentSessions(entry, sessions) {
+  return sessions.filter(s => !s.settings.mode && (s.settings.roster_id
+    ? s.settings.roster_id === entry.id
+    : sameStudent(s.student, entry)));
+}
+
+function debateRow(session, stats) {
+  const ok = session.turns.filter(t => t.status === "ok");
+  return {
+    session_id: session.session_id,
+    start_ts: session.start_ts,
+    topic: session.settings.topic,
+    difficulty: session.settings.difficulty,
+    finished: Boolean(session.state.finished),
+    winner: stats.winner_final,
+    rounds: stats.rounds_played,
+    avg_words: round2(avg(nums(ok.map(t => t.student_word_count)))),
+    readability: ok.length ? stats.readability_avg_grade : null,
+    violations: stats.violations_total,
+    rubric_avg: stats.rubric_avg || {}
+  };
+}
+
+// Win rate over finished debates; violations that ended a debate count as played, not won
+function outcomes(rows) {
+  const done = rows.filter(r => r.finished);
+  const count = w => done.filter(r => r.winner === w).length;
+  const won = count("student");
+  return {
+    played: done.length,
+    won,
+    lost: count("ai"),
+    tied: count("tied"),
+    ended: count("ended_for_violation"),
+    win_rate: done.length ? round2(won / done.length) : null
+  };
+}
+
+// Average of the last few debates minus the first few (null until there are two)
+function growth(values) {
+  const known = nums(values);
+  if (known.length < 2) return null;
+  const n = Math.min(GROWTH_WINDOW, Math.floor(known.length / 2));
+  return round2(avg(known.slice(-n)) - avg(known.slice(0, n)));
+}
+
+export function buildProgress(student, sessions, summarize) {
+  const debates = [...sessions]
+    .sort((a, b) => a.start_ts.localeCompare(b.start_ts))
+    .map(s => debateRow(s, summarize(s)));
+
+  const trend = {
+    readability: debates.map(d => d.readability),
+    words: debates.map(d => d.avg_words),
+    violations: debates.map(d => d.violations),
+    rubric: Object.fromEntries(RUBRIC_CRITERIA.map(c => [c.id, debates.map(d => d.rubric_avg[c.id] ?? null)]))
+  };
+
+  const by_difficulty = {};
+  for (const level of [...new Set(debates.map(d => d.difficulty))]) {
+    by_difficulty[level] = outcomes(debates.filter(d => d.difficulty === level));
+  }
+
+  // Words and readability are averaged over turns, not debates, so a one-round debate counts less
+  const okTurns = sessions.flatMap(s => s.turns.filter(t => t.status === "ok"));
+  return {
+    student: { id: student.id, first_name: student.first_name, last_initial: student.last_initial },
+    totals: {
+      debates: debates.length,
+      finished: debates.filter(d => d.finished).length,
+      rounds: okTurns.length,
+      avg_words: round2(avg(nums(okTurns.map(t => t.student_word_count)))),
+      readability_avg: round2(avg(nums(okTurns.map(t => t.readability_grade)))),
+      violations: debates.reduce((a, d) => a + (d.violations || 0), 0),
+      win_rate: outcomes(debates).win_rate
+    },
+    debates,
+    trend,
+    by_difficulty,
+    growth: {
+      readability: growth(trend.readability),
+      words: growth(trend.words),
+      rubric: Object.fromEntries(RUBRIC_CRITERIA.map(c => [c.id, growth(trend.rubric[c.id])]))
+    }
+  };
+}
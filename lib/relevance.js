@@ -0,0 +1,128 @@
+// lib/relevance.js – offline on-topic scoring for student arguments
+//
+// scoreRelevance(text, topic, priorTexts) → { score, level, matched }
+//   score    0..1 (higher = more clearly about the topic)
+//   level    "on_topic" | "related" | "drifting" | "off_topic"
+//   matched  catalog keywords found in the text (after stemming/synonyms)
+//
+// Three signals are combined:
+//   1. catalog keywords, matched on whole words after stemming + synonyms
+//   2. word overlap with the topic's title, description and talking points
+//   3. word overlap with earlier turns (answering the AI's last point counts)
+
+const STOPWORDS = new Set((
+  "a an the and or but if so of to in on at by for with from as is are was were be been being am " +
+  "i me my we our you your he she it its they them their this that these those there here " +
+  "do does did doing have has had not no yes can could should would will just very really " +
+  "more most less than then too also about into out up down over only own same some such " +
+  "what which who whom when where why how all any both each few other because while im id " +
+  "dont cant think like get got go going make lot lots thing things"
+).split(" "));
+
+// Light suffix stripper – enough to line up "sleeping"/"sleeps"/"sleep",
+// "uniforms"/"uniform", "tired"/"tire", without a dictionary.
+export function stem(word) {
+  let w = word.toLowerCase().replace(/'s$|'/g, "");
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ness")) w = w.slice(0, -4);
+  else if (w.endsWith("ment") && w.length > 6) w = w.slice(0, -4);
+  else if (w.endsWith("ing") && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith("ed") && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith("ly") && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !w.endsWith("ss") && !w.endsWith("us")) w = w.slice(0, -1);
+  // stopped → stopp → stop
+  if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith("e") && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+// Words that mean the same thing for topic matching. Each group maps to its
+// first word, so "exhausted" counts as "tired" and "nap" as "sleep".
+const SYNONYM_GROUPS = [
+  ["tired", "exhausted", "sleepy", "fatigue", "fatigued", "drained", "drowsy", "groggy", "worn"],
+  ["sleep", "rest", "nap", "asleep", "bedtime", "snooze", "oversleep"],
+  ["early", "morning", "dawn", "sunrise"],
+  ["homework", "assignment", "worksheet", "busywork", "schoolwork"],
+  ["stress", "stressed", "anxious", "anxiety", "overwhelmed", "pressure", "burnout"],
+  ["game", "gaming", "videogame", "gamer", "minecraft", "fortnite", "roblox", "console"],
+  ["learn", "learning", "educational", "education", "teach", "study", "skill"],
+  ["uniform", "outfit", "clothes", "clothing", "dress", "wear"],
+  ["bully", "bullying", "tease", "teasing", "mock", "picked"],
+  ["cost", "price", "expensive", "cheap", "money", "afford", "pay"],
+  ["zoo", "aquarium", "sanctuary", "enclosure", "captivity", "cage"],
+  ["animal", "wildlife", "species", "creature", "elephant", "lion", "tiger", "panda", "gorilla"],
+  ["extinct", "endangered", "extinction", "dying"],
+  ["student", "kid", "teen", "teenager", "pupil", "classmate"],
+  ["school", "class", "classroom", "campus"]
+];
+const CANON = new Map();
+for (const group of SYNONYM_GROUPS) {
+  const head = stem(group[0]);
+  for (const w of group) CANON.set(stem(w), head);
+}
+const canon = s => CANON.get(s) || s;
+
+// Clock times before 9am read as "early morning" ("exhausted at 7am")
+function expandTimes(text) {
+  return text.replace(/\b([5-8])(?::[0-5]\d)?\s*(?:am|a\.m\.)/gi, " early morning ");
+}
+
+// Text → canonical stems (stopwords dropped)
+export function terms(text = "") {
+  const words = (expandTimes(text.toLowerCase()).match(/\b[a-z][a-z']*\b/g) || []).map(w => w.replace(/'/g, ""));
+  return words.filter(w => !STOPWORDS.has(w)).map(w => canon(stem(w)));
+}
+
+function bag(list) {
+  const m = new Map();
+  list.forEach(t => m.set(t, (m.get(t) || 0) + 1));
+  return m;
+}
+function cosine(a, b) {
+  if (!a.size || !b.size) return 0;
+  let dot = 0, na = 0, nb = 0;
+  a.forEach((v, k) => { na += v * v; if (b.has(k)) dot += v * b.get(k); });
+  b.forEach(v => { nb += v * v; });
+  return dot / Math.sqrt(na * nb);
+}
+
+// Whole-phrase match on canonical stems ("bell schedule" needs both words, in order)
+function phraseIn(tokens, phrase) {
+  const p = terms(phrase);
+  if (!p.length) return false;
+  for (let i = 0; i + p.length <= tokens.length; i++) {
+    if (p.every((t, j) => tokens[i + j] === t)) return true;
+  }
+  return false;
+}
+
+export const RELEVANCE_LEVELS = [
+  { level: "on_topic",  min: 0.5 },
+  { level: "related",   min: 0.3 },
+  { level: "drifting",  min: 0.15 },
+  { level: "off_topic", min: 0 }
+];
+
+export function scoreRelevance(text, topic, priorTexts = []) {
+  const tokens = terms(text);
+  if (!topic || !tokens.length) return { score: 0, level: "off_topic", matched: [] };
+
+  const matched = (topic.keywords || []).filter(k => phraseIn(tokens, k));
+  const k = matched.length ? Math.min(1, 0.6 + 0.2 * (matched.length - 1)) : 0;
+
+  const msg = bag(tokens);
+  const topicDoc = bag(terms([
+    topic.title, topic.description,
+    ...(topic.talking_points?.pro || []), ...(topic.talking_points?.con || [])
+  ].join(" ")));
+  const d = Math.min(1, cosine(msg, topicDoc) * 2);
+
+  const prior = bag(terms(priorTexts.join(" ")));
+  const p = Math.min(1, cosine(msg, prior) * 1.5) * 0.6;
+
+  const score = +(1 - (1 - k) * (1 - d) * (1 - p)).toFixed(2);
+  const level = RELEVANCE_LEVELS.find(l => score >= l.min).level;
+  return { score, level, matched };
+}
@@ -0,0 +1,144 @@
+// lib/report.js – end-of-debate feedback report built from a session record
+//
+// buildReport(session, overrides) → {
+//   session_id, start_ts, end_ts, student, settings, summary, finished,
+//   criteria:    [{ id, label }],              // rubric criteria, labels in the session's language
+//   rounds:      [{ round, phase, speaker, student_text, ai_reply_text, word_count, readability,
+//                   meter, leader, quality, rubric, evidence, relevance_level }],   // phase: name, null if one phase
+//   trend:       { meter: [n], words: [n], readability: [n], quality: [n|null] },
+//   strongest, weakest,                       // { round, quality, why } or null
+//   suggestions: [string]                     // 2–4 concrete things to try next time
+// }
+// Only "ok" turns count; blocked, warned-off and support turns are left out.
+// Student-vs-student debates (lib/rooms.js) set speaker to "pro" or "con".
+// evidence lists the library facts a round cited: [{ text, source, url }].
+// overrides: { report, rubric } – a locale's "report" and "rubric" messages
+// (see lib/i18n.js), over the English REPORT_TEXT and RUBRIC_CRITERIA.
+import { RUBRIC_CRITERIA, RUBRIC_MAX, rubricQuality } from './rubric.js';
+
+// English report text; {list}, {words} and {count} are filled in below
+export const REPORT_TEXT = {
+  best_meter: "The meter moved most your way this round.",
+  worst_meter: "The meter moved most toward the AI this round.",
+  best_balanced: "A solid, balanced argument.",
+  worst_balanced: "Every part was okay, but nothing stood out.",
+  best: "Strong {list}.",
+  worst: "Needed more {list}.",
+  short_turns: "Your arguments averaged {words} words. Try writing 2–3 full sentences each round.",
+  readability_low: "Try joining short sentences with words like “because”, “although” or “which means”.",
+  readability_high: "Some sentences were long and hard to follow. Try splitting them into shorter ones.",
+  drifted_one: "In 1 round you drifted from the topic. Tie each point back to the debate question.",
+  drifted: "In {count} rounds you drifted from the topic. Tie each point back to the debate question.",
+  violations: "Keep every message school-safe — blocked messages don’t count toward your score.",
+  great: "Great work! Next time, try a harder difficulty or argue the other side."
+};
+
+const fill = (s, vars) => s.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+
+// Readability band we hope middle schoolers land in (reading grade, see lib/text.js)
+const READABILITY_BAND = { low: 4, high: 10 };
+const SHORT_TURN_WORDS = 20;
+const MAX_SUGGESTIONS = 4;
+
+const avg = list => list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+
+// Older sessions have no rubric; fall back to the meter (low = student ahead)
+function turnQuality(t) {
+  if (t.rubric) return rubricQuality(t.rubric);
+  return typeof t.hud_meter === "number" ? +(1 - t.hud_meter / 100).toFixed(3) : null;
+}
+
+// One line on why a turn scored high or low, from its best/worst criteria
+function explainTurn(t, best, text, criteria) {
+  if (!t.rubric) return best ? text.best_meter : text.worst_meter;
+  const scored = criteria.filter(c => typeof t.rubric[c.id] === "number");
+  const pickOut = scored.filter(c => (best ? t.rubric[c.id] >= 3 : t.rubric[c.id] <= 1)).map(c => c.label.toLowerCase());
+  if (!pickOut.length) return best ? text.best_balanced : text.worst_balanced;
+  return fill(best ? text.best : text.worst, { list: pickOut.join(", ") });
+}
+
+function buildSuggestions(rounds, summary, text, criteria) {
+  const out = [];
+
+  // Rubric criteria with the lowest averages come first
+  const rubricAvgs = criteria
+    .map(c => ({ c, value: avg(rounds.map(r => r.rubric?.[c.id]).filter(n => typeof n === "number")) }))
+    .filter(x => x.value !== null && x.value < RUBRIC_MAX * 0.6)
+    .sort((a, b) => a.value - b.value);
+  rubricAvgs.slice(0, 2).forEach(({ c }) => out.push(c.tip));
+
+  const words = avg(rounds.map(r => r.word_count));
+  if (words !== null && words < SHORT_TURN_WORDS) {
+    out.push(fill(text.short_turns, { words: Math.round(words) }));
+  }
+
+  const grade = avg(rounds.map(r => r.readability).filter(n => typeof n === "number" && n > 0));
+  if (grade !== null && grade < READABILITY_BAND.low) {
+    out.push(text.readability_low);
+  } else if (grade !== null && grade > READABILITY_BAND.high) {
+    out.push(text.readability_high);
+  }
+
+  const drifted = rounds.filter(r => r.relevance_level === "drifting" || r.relevance_level === "off_topic").length;
+  if (drifted) {
+    out.push(drifted === 1 ? text.drifted_one : fill(text.drifted, { count: drifted }));
+  }
+
+  if (summary?.violations_total) {
+    out.push(text.violations);
+  }
+
+  if (!out.length) out.push(text.great);
+  return out.slice(0, MAX_SUGGESTIONS);
+}
+
+export function buildReport(session, overrides = {}) {
+  const text = { ...REPORT_TEXT, ...overrides.report };
+  const criteria = RUBRIC_CRITERIA.map(c => ({ ...c, ...overrides.rubric?.[c.id] }));
+  const phases = session.settings.format?.phases || [];
+  const phaseNames = new Map(phases.length > 1 ? phases.map(p => [p.id, p.name]) : []);
+  const rounds = session.turns
+    .filter(t => t.status === "ok")
+    .map(t => ({
+      round: t.round,
+      phase: phaseNames.get(t.phase) || null,
+      speaker: t.speaker || null,
+      student_text: t.student_text,
+      ai_reply_text: t.ai_reply_text,
+      word_count: t.student_word_count,
+      readability: t.readability_grade,
+      meter: t.hud_meter,
+      leader: t.hud_leader,
+      quality: turnQuality(t),
+      rubric: t.rubric || null,
+      evidence: (t.evidence || []).map(({ text, source, url }) => ({ text, source, url })),
+      relevance_level: t.relevance_level || null
+    }));
+
+  const ranked = rounds.filter(r => r.quality !== null).sort((a, b) => b.quality - a.quality);
+  const pick = (r, best) => r ? { round: r.round, quality: r.quality, why: explainTurn(r, best, text, criteria) } : null;
+  const strongest = pick(ranked[0], true);
+  // With a single round there is no "weakest" to compare against
+  const weakest = ranked.length > 1 ? pick(ranked[ranked.length - 1], false) : null;
+
+  return {
+    session_id: session.session_id,
+    start_ts: session.start_ts,
+    end_ts: session.end_ts || null,
+    student: session.student,
+    settings: session.settings,
+    finished: Boolean(session.state?.finished),
+    summary: session.summary || null,
+    criteria: criteria.map(({ id, label }) => ({ id, label })),
+    rounds,
+    trend: {
+      meter: rounds.map(r => r.meter),
+      words: rounds.map(r => r.word_count),
+      readability: rounds.map(r => r.readability),
+      quality: rounds.map(r => r.quality)
+    },
+    strongest,
+    weakest,
+    suggestions: buildSuggestions(rounds, session.summary, text, criteria)
+  };
+}
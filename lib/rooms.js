@@ -0,0 +1,107 @@
+// lib/rooms.js – student-vs-student debate rooms (in memory)
+//
+// A room:
+// {
+//   id, code, created_ts, owner_id,          // teacher who opened it
+//   settings,                                // { topic_id, difficulty, format_id, max_rounds, class_id }
+//   sides: { pro: [member], con: [member] }, // member = { id, first_name, last_initial, grade, roster_id }
+//   status: "waiting" | "active" | "finished",
+//   session_id                               // set when both sides are in and the debate starts
+// }
+// Two students (or two small teams) join with the room code; each member gets
+// their own token (see server.js), which also tells which side they're on. Turn order, scores and the transcript live on
+// the session (lib/store.js), so only the room itself (who joined, open
+// connections) is lost on restart.
+//
+// subscribe(code, send) registers a live connection (an SSE response);
+// broadcast(code, event, payload) calls send(event, payload) on each one.
+import crypto from 'crypto';
+
+export const ROOM_SIDES = ["pro", "con"];
+export const TEAM_SIZE = 3;
+
+// Same alphabet as class codes, so they read well off a projector
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+const ROOM_TTL_MS = 6 * 60 * 60 * 1000;    // finished or abandoned rooms are dropped after 6 h
+
+export const otherSide = side => (side === "pro" ? "con" : "pro");
+
+export function createRoomStore() {
+  const rooms = new Map();          // code → room
+  const listeners = new Map();      // code → Set(send)
+
+  function newCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+    } while (rooms.has(code));
+    return code;
+  }
+
+  function prune() {
+    const cutoff = Date.now() - ROOM_TTL_MS;
+    for (const [code, room] of rooms) {
+      if (Date.parse(room.created_ts) < cutoff) {
+        rooms.delete(code);
+        listeners.delete(code);
+      }
+    }
+  }
+
+  return {
+    create({ owner_id = null, settings }) {
+      prune();
+      const room = {
+        id: crypto.randomBytes(4).toString('hex'),
+        code: newCode(),
+        created_ts: new Date().toISOString(),
+        owner_id,
+        settings,
+        sides: { pro: [], con: [] },
+        status: "waiting",
+        session_id: null
+      };
+      rooms.set(room.code, room);
+      return room;
+    },
+    get(code) {
+      return rooms.get((code || "").toString().trim().toUpperCase()) || null;
+    },
+    list() {
+      prune();
+      return [...rooms.values()];
+    },
+    // Adds a member to the requested side, or the smaller one, and gives them an id.
+    // Returns { side, member } or { error } with a code the server words in the
+    // room's language: "already_joined" (with name) for a name that's already
+    // seated, since rejoining goes through the member's token, not their name;
+    // "finished"; or "team_full" (with side).
+    join(room, member, wanted = null) {
+      const same = m => m.first_name.toLowerCase() === member.first_name.toLowerCase()
+        && m.last_initial.toUpperCase() === member.last_initial.toUpperCase();
+      const seated = ROOM_SIDES.flatMap(s => room.sides[s]).find(same);
+      if (seated) return { error: "already_joined", name: `${seated.first_name} ${seated.last_initial}.` };
+      if (room.status === "finished") return { error: "finished" };
+
+      let side = ROOM_SIDES.includes(wanted) ? wanted : null;
+      if (!side) side = room.sides.pro.length <= room.sides.con.length ? "pro" : "con";
+      if (room.sides[side].length >= TEAM_SIZE) return { error: "team_full", side };
+      member = { id: crypto.randomBytes(6).toString('hex'), ...member };
+      room.sides[side].push(member);
+      return { side, member };
+    },
+    remove(code) {
+      rooms.delete(code);
+      listeners.delete(code);
+    },
+    subscribe(code, send) {
+      if (!listeners.has(code)) listeners.set(code, new Set());
+      listeners.get(code).add(send);
+      return () => listeners.get(code)?.delete(send);
+    },
+    broadcast(code, event, payload) {
+      for (const send of listeners.get(code) || []) send(event, payload);
+    }
+  };
+}
@@ -0,0 +1,189 @@
+// lib/rubric.js – per-turn rubric and the HUD meter derived from it
+//
+// Every ok turn is scored 0–4 on five criteria:
+//   claim      – is there one clear position on the topic?
+//   reasoning  – are there reasons (because / so / which means)?
+//   evidence   – examples, facts, numbers, experiences
+//   rebuttal   – does it answer the AI's last point? (null in round 1)
+//   respect    – school-safe, kind language
+//
+// The model scores the criteria; when its answer is missing or malformed the
+// offline heuristics below are used instead. Respect is capped by moderation
+// (a "warn" turn can't score above 2), so the model can't overrule the filter.
+//
+// Meter (0 = student far ahead, 100 = AI far ahead):
+//   quality = weighted average of the criteria / 4          (0..1)
+//   meter   = 50 + (bar[difficulty] - quality) × 100, clamped to 0..100
+// so a student whose quality equals the difficulty's bar ties at 50, and each
+// 0.1 of quality above the bar moves the meter 10 points their way.
+//
+// Difficulty curve (quality needed to tie the AI):
+//   Beginner 0.25 · Intermediate 0.40 · Normal 0.50 · Hard 0.60 · Extreme 0.72
+// Beginner is met by one on-topic sentence with a reason; Extreme needs clear
+// reasoning, real evidence and a direct rebuttal in the same turn.
+//
+// Cited evidence (the topic's library, lib/topics.js): a turn that cites n
+// vetted facts scores at least min(3, 1 + n) for evidence; a 4 still needs the
+// student to explain how the fact supports their point.
+//
+// Hints ("Help me argue", lib/coach.js): with a hint penalty p, a round written
+// after asking for n hints counts as quality × (1 − p × n) on the meter.
+//
+// Languages: the offline heuristics look for English or Spanish signal words
+// (context.locale); labels and tips can be overridden with a locale's
+// "rubric" messages (see lib/i18n.js).
+import { terms } from './relevance.js';
+import { wordCount } from './text.js';
+
+export const RUBRIC_MAX = 4;
+
+export const RUBRIC_CRITERIA = [
+  { id: "claim",     label: "Claim clarity", weight: 1,
+    tip: "Start with one clear sentence that says what you believe." },
+  { id: "reasoning", label: "Reasoning",     weight: 1.25,
+    tip: "Explain why: add a “because…” or “this means…” to your claim." },
+  { id: "evidence",  label: "Evidence",      weight: 1.25,
+    tip: "Back it up with an example, a fact, or something you’ve seen happen." },
+  { id: "rebuttal",  label: "Rebuttal",      weight: 1,
+    tip: "Answer the AI’s last point directly before adding your own." },
+  { id: "respect",   label: "Respectfulness", weight: 0.5,
+    tip: "Keep it kind — argue with the idea, not the person." }
+];
+
+export const DIFFICULTY_CURVE = {
+  Beginner: 0.25,
+  Intermediate: 0.40,
+  Normal: 0.50,
+  Hard: 0.60,
+  Extreme: 0.72
+};
+
+// Band edges for the leader; inside 48–52 the debate is "tied"
+const LEAD_BAND = { student: 48, ai: 52 };
+
+/* --------------------------- Offline heuristics -------------------------- */
+
+// \b only knows ASCII letters, so the Spanish words are bounded by lookarounds
+const ES_WORD = (words, flags = "giu") => new RegExp(`(?<![\\p{L}\\p{N}])(${words})(?![\\p{L}\\p{N}])`, flags);
+
+const SIGNALS = {
+  en: {
+    reason:   /\b(because|since|so that|therefore|which means|this means|that's why|thats why|as a result|so)\b/gi,
+    evidence: /\b(for example|for instance|such as|like when|study|studies|research|survey|percent|statistics?|data|\d+)\b|%/gi,
+    rebut:    /\b(but|however|although|even though|you said|your point|you mentioned|i disagree|that's not|on the other hand)\b/i
+  },
+  es: {
+    reason:   ES_WORD("porque|ya que|puesto que|por eso|por lo tanto|así que|esto significa|lo que significa|como resultado|debido a"),
+    evidence: /(?<![\p{L}\p{N}])(por ejemplo|como cuando|tal como|estudios?|investigaci[oó]n(?:es)?|encuestas?|por ciento|estad[ií]sticas?|datos|\d+)(?![\p{L}\p{N}])|%/giu,
+    rebut:    ES_WORD("pero|sin embargo|aunque|aun así|dijiste|tu punto|mencionaste|no estoy de acuerdo|eso no es|por otro lado", "iu")
+  }
+};
+const SHOUT_RE    = /\p{Lu}/gu;
+
+const count = (text, re) => (text.match(re) || []).length;
+const firstSentence = text => (text.split(/(?<=[.!?])\s+/)[0] || "").trim();
+const words = wordCount;
+
+// context: { round, rebuttal, relevanceLevel, moderationAction, prevAiReply, locale }
+// rebuttal: false (e.g. an opening statement) scores rebuttal as n/a like round 1
+export function scoreRubricOffline(message = "", context = {}) {
+  const signals = SIGNALS[context.locale] || SIGNALS.en;
+  const wc = words(message);
+  const lead = words(firstSentence(message));
+
+  const onTopic = { on_topic: 3, related: 2, drifting: 1, off_topic: 0 }[context.relevanceLevel] ?? 2;
+  const claim = wc < 3 ? 0 : Math.min(RUBRIC_MAX, onTopic + (lead >= 5 && lead <= 30 ? 1 : 0));
+
+  const reasons = count(message, signals.reason);
+  const reasoning = Math.min(RUBRIC_MAX, (reasons ? 1 + reasons : wc >= 15 ? 1 : 0) + (wc >= 30 ? 1 : 0));
+
+  const examples = count(message, signals.evidence);
+  const evidence = Math.min(RUBRIC_MAX, examples ? 1 + examples : 0);
+
+  let rebuttal = null;
+  if (context.round > 1 && context.rebuttal !== false && context.prevAiReply) {
+    const aiTerms = new Set(terms(context.prevAiReply));
+    const shared = new Set(terms(message).filter(t => aiTerms.has(t))).size;
+    rebuttal = Math.min(RUBRIC_MAX, (signals.rebut.test(message) ? 2 : 0) + Math.min(2, shared));
+  }
+
+  const letters = (message.match(/\p{L}/gu) || []).length;
+  const shouting = letters > 10 && count(message, SHOUT_RE) / letters > 0.6;
+  const respect = RUBRIC_MAX - (shouting ? 1 : 0);
+
+  return capRespect({ claim, reasoning, evidence, rebuttal, respect }, context.moderationAction);
+}
+
+/* ------------------------------- Scoring --------------------------------- */
+
+function capRespect(scores, moderationAction) {
+  if (moderationAction === "warn") scores.respect = Math.min(scores.respect, 2);
+  return scores;
+}
+
+// Validate the model's { claim, reasoning, … } object. Returns clean integer
+// scores, or null if any required criterion is missing.
+export function normalizeRubric(raw, { round = 1, rebuttal = true, moderationAction = "allow" } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const scores = {};
+  for (const { id } of RUBRIC_CRITERIA) {
+    if (id === "rebuttal" && (round <= 1 || !rebuttal)) {
+      scores.rebuttal = null;
+      continue;
+    }
+    const n = Number(raw[id]);
+    if (raw[id] === null || raw[id] === undefined || !Number.isFinite(n)) return null;
+    scores[id] = Math.max(0, Math.min(RUBRIC_MAX, Math.round(n)));
+  }
+  return capRespect(scores, moderationAction);
+}
+
+// Floor the evidence score for facts cited from the topic's library
+export function creditCitations(scores, cited = 0) {
+  if (!cited) return scores;
+  return { ...scores, evidence: Math.max(scores.evidence ?? 0, Math.min(RUBRIC_MAX - 1, 1 + cited)) };
+}
+
+// Weighted average of the scored criteria (null = not applicable), 0..1
+export function rubricQuality(scores) {
+  let total = 0, weights = 0;
+  for (const { id, weight } of RUBRIC_CRITERIA) {
+    if (scores[id] === null || scores[id] === undefined) continue;
+    total += weight * scores[id];
+    weights += weight;
+  }
+  return weights ? +(total / (weights * RUBRIC_MAX)).toFixed(3) : 0;
+}
+
+export function meterFromRubric(scores, difficulty = "Normal", { hints = 0, hintPenalty = 0 } = {}) {
+  const bar = DIFFICULTY_CURVE[difficulty] ?? DIFFICULTY_CURVE.Normal;
+  const raw = rubricQuality(scores);
+  const quality = hints && hintPenalty ? +(raw * Math.max(0, 1 - hintPenalty * hints)).toFixed(3) : raw;
+  const meter = Math.round(Math.max(0, Math.min(100, 50 + (bar - quality) * 100)));
+  const leader = meter > LEAD_BAND.ai ? "ai" : meter < LEAD_BAND.student ? "student" : "tied";
+  return { meter, leader, quality, bar };
+}
+
+// Student-vs-student debates: the same 0..100 meter between the two sides'
+// average quality (low = PRO ahead, high = CON ahead), with the same tie band
+export function sideMeter(proQuality, conQuality) {
+  const meter = Math.round(Math.max(0, Math.min(100, 50 + (conQuality - proQuality) * 100)));
+  const leader = meter > LEAD_BAND.ai ? "con" : meter < LEAD_BAND.student ? "pro" : "tied";
+  return { meter, leader };
+}
+
+// Lowest applicable criterion → the one tip shown to the student.
+// overrides: { <id>: { label, tip }, great } from a locale's "rubric" messages
+export function rubricTip(scores, overrides = {}) {
+  const weakest = RUBRIC_CRITERIA
+    .filter(c => scores[c.id] !== null && scores[c.id] !== undefined)
+    .sort((a, b) => scores[a.id] - scores[b.id])[0];   // stable: ties go to the earlier criterion
+  return weakest && scores[weakest.id] < RUBRIC_MAX
+    ? overrides[weakest.id]?.tip ?? weakest.tip
+    : overrides.great ?? "Great all-round argument — keep it up!";
+}
+
+// What the client renders: [{ id, label, score, max }]
+export function rubricCriteria(scores, overrides = {}) {
+  return RUBRIC_CRITERIA.map(({ id, label }) => ({ id, label: overrides[id]?.label ?? label, score: scores[id] ?? null, max: RUBRIC_MAX }));
+}
@@ -0,0 +1,345 @@
+// lib/store.js – debate sessions in an embedded SQLite database (data/debate.db)
+//
+// Tables:
+//   students  (id, first_name, last_initial, grade)          one row per student
+//   sessions  (session_id, student_id, start_ts, end_ts, …)  settings/state/summary/memory as JSON
+//   turns     (session_id, seq, round, status, …)            one row per turn, append-only
+//   meta      (key, value)                                   e.g. when old files were imported
+//
+// getSession() returns the same shape the old data/sessions/<id>.json files
+// had ({ session_id, student, settings, state, turns, … }, plus the numeric
+// student_id from the students table), so callers work on
+// a plain object and hand it back to saveSession():
+//   - new turns (pushed onto session.turns, no `seq` yet) are inserted
+//   - session-level fields (state, summary, memory, end_ts) are updated
+// both in one transaction. Existing turns are never rewritten by
+// saveSession(); annotate them with updateTurn() so two overlapping requests
+// can't overwrite each other's changes. A finished session is final:
+// saveSession() writes nothing and returns false once the stored row is
+// finished, so a late save from a stale copy can't reopen it.
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS students (
+  id            INTEGER PRIMARY KEY,
+  first_name    TEXT NOT NULL COLLATE NOCASE,
+  last_initial  TEXT NOT NULL COLLATE NOCASE,
+  grade         TEXT NOT NULL,
+  UNIQUE (first_name, last_initial, grade)
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id    TEXT PRIMARY KEY,
+  student_id    INTEGER NOT NULL REFERENCES students(id),
+  start_ts      TEXT NOT NULL,
+  end_ts        TEXT,
+  difficulty    TEXT,
+  topic         TEXT,
+  topic_id      TEXT,
+  side          TEXT,
+  class_id      TEXT,
+  assignment_id TEXT,
+  finished      INTEGER NOT NULL DEFAULT 0,
+  settings      TEXT NOT NULL,
+  state         TEXT NOT NULL,
+  summary       TEXT,
+  memory        TEXT
+);
+CREATE INDEX IF NOT EXISTS sessions_start_ts ON sessions (start_ts);
+CREATE INDEX IF NOT EXISTS sessions_class_id ON sessions (class_id);
+
+CREATE TABLE IF NOT EXISTS turns (
+  id                 INTEGER PRIMARY KEY,
+  session_id         TEXT NOT NULL REFERENCES sessions(session_id) ON DELETE CASCADE,
+  seq                INTEGER NOT NULL,
+  round              INTEGER NOT NULL,
+  status             TEXT NOT NULL,
+  category           TEXT NOT NULL DEFAULT '',
+  student_text       TEXT NOT NULL DEFAULT '',
+  ai_reply_text      TEXT NOT NULL DEFAULT '',
+  student_word_count INTEGER,
+  readability_grade  REAL,
+  hud_meter          INTEGER,
+  hud_leader         TEXT,
+  latency_ms         INTEGER,
+  relevance          REAL,
+  extra              TEXT NOT NULL DEFAULT '{}',
+  UNIQUE (session_id, seq)
+);
+
+CREATE TABLE IF NOT EXISTS meta (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+`;
+
+// Turn fields with their own column; everything else (rubric, moderation,
+// outline, client_latency_ms…) lives in the `extra` JSON column.
+const TURN_COLUMNS = [
+  "round", "status", "category", "student_text", "ai_reply_text", "student_word_count",
+  "readability_grade", "hud_meter", "hud_leader", "latency_ms", "relevance"
+];
+
+const json = v => (v === undefined || v === null ? null : JSON.stringify(v));
+const parse = v => (v ? JSON.parse(v) : null);
+
+function turnFromRow(row) {
+  const turn = { ...parse(row.extra), seq: row.seq };
+  for (const col of TURN_COLUMNS) turn[col] = row[col];
+  return turn;
+}
+
+function splitTurn(turn) {
+  const extra = { ...turn };
+  const cols = {};
+  for (const col of TURN_COLUMNS) {
+    cols[col] = turn[col] ?? null;
+    delete extra[col];
+  }
+  delete extra.seq;
+  cols.status = cols.status ?? "ok";
+  cols.category = cols.category ?? "";
+  cols.student_text = cols.student_text ?? "";
+  cols.ai_reply_text = cols.ai_reply_text ?? "";
+  if (typeof cols.relevance !== "number") cols.relevance = null;
+  return { cols, extra: JSON.stringify(extra) };
+}
+
+function sessionFromRow(row, turns) {
+  return {
+    session_id: row.session_id,
+    student_id: row.student_id,
+    start_ts: row.start_ts,
+    ...(row.end_ts ? { end_ts: row.end_ts } : {}),
+    student: { first_name: row.first_name, last_initial: row.last_initial, grade: row.grade },
+    settings: parse(row.settings),
+    state: parse(row.state),
+    ...(row.summary ? { summary: parse(row.summary) } : {}),
+    ...(row.memory ? { memory: parse(row.memory) } : {}),
+    turns
+  };
+}
+
+// Files written before sessions kept server-side state have no `state`;
+// rebuild it from the turns so old debates show up finished and scored.
+function legacyState(data) {
+  const turns = data.turns || [];
+  return {
+    round: Math.max(0, ...turns.map(t => Number(t.round) || 0)) + 1,
+    finished: Boolean(data.summary || data.end_ts),
+    hud_history: turns
+      .filter(t => (t.status || "ok") === "ok" && typeof t.hud_meter === "number")
+      .map(t => ({ round: t.round, meter: t.hud_meter, leader: t.hud_leader || "tied" })),
+    strikes: { active: 0, total: turns.filter(t => t.status === "violation").length, clean_streak: 0 }
+  };
+}
+
+export function openSessionStore(dbPath) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  const stmt = {
+    findStudent: db.prepare(
+      'SELECT id FROM students WHERE first_name = ? AND last_initial = ? AND grade = ?'),
+    addStudent: db.prepare(
+      'INSERT INTO students (first_name, last_initial, grade) VALUES (?, ?, ?)'),
+    addSession: db.prepare(`
+      INSERT INTO sessions (session_id, student_id, start_ts, end_ts, difficulty, topic, topic_id, side,
+                            class_id, assignment_id, finished, settings, state, summary, memory)
+      VALUES (@session_id, @student_id, @start_ts, @end_ts, @difficulty, @topic, @topic_id, @side,
+              @class_id, @assignment_id, @finished, @settings, @state, @summary, @memory)`),
+    updateSession: db.prepare(`
+      UPDATE sessions SET end_ts = @end_ts, finished = @finished, state = @state,
+                          summary = @summary, memory = @memory
+      WHERE session_id = @session_id AND finished = 0`),
+    getSession: db.prepare(`
+      SELECT s.*, st.first_name, st.last_initial, st.grade
+      FROM sessions s JOIN students st ON st.id = s.student_id
+      WHERE s.session_id = ?`),
+    allSessions: db.prepare(`
+      SELECT s.*, st.first_name, st.last_initial, st.grade
+      FROM sessions s JOIN students st ON st.id = s.student_id
+      ORDER BY s.start_ts`),
+    classSessions: db.prepare(`
+      SELECT s.*, st.first_name, st.last_initial, st.grade
+      FROM sessions s JOIN students st ON st.id = s.student_id
+      WHERE s.class_id = ?
+      ORDER BY s.start_ts`),
+    studentSessions: db.prepare(`
+      SELECT s.*, st.first_name, st.last_initial, st.grade
+      FROM sessions s JOIN students st ON st.id = s.student_id
+      WHERE st.first_name = ? AND st.last_initial = ? AND st.grade = ?
+        AND json_extract(s.settings, '$.roster_id') IS NULL
+      ORDER BY s.start_ts DESC
+      LIMIT ?`),
+    rosterSessions: db.prepare(`
+      SELECT s.*, st.first_name, st.last_initial, st.grade
+      FROM sessions s JOIN students st ON st.id = s.student_id
+      WHERE s.class_id = ? AND json_extract(s.settings, '$.roster_id') = ?
+      ORDER BY s.start_ts DESC
+      LIMIT ?`),
+    turnsFor: db.prepare('SELECT * FROM turns WHERE session_id = ? ORDER BY seq'),
+    classTurns: db.prepare(`
+      SELECT t.* FROM turns t JOIN sessions s ON s.session_id = t.session_id
+      WHERE s.class_id = ?
+      ORDER BY t.session_id, t.seq`),
+    allTurns: db.prepare('SELECT * FROM turns ORDER BY session_id, seq'),
+    nextSeq: db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM turns WHERE session_id = ?'),
+    addTurn: db.prepare(`
+      INSERT INTO turns (session_id, seq, ${TURN_COLUMNS.join(", ")}, extra)
+      VALUES (@session_id, @seq, ${TURN_COLUMNS.map(c => `@${c}`).join(", ")}, @extra)`),
+    lastTurnForRound: db.prepare(
+      'SELECT * FROM turns WHERE session_id = ? AND round = ? ORDER BY seq DESC LIMIT 1'),
+    setTurnExtra: db.prepare('UPDATE turns SET extra = ?, latency_ms = ? WHERE id = ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+  };
+
+  function studentId({ first_name = "", last_initial = "", grade = "" } = {}) {
+    const key = [String(first_name ?? ""), String(last_initial ?? ""), String(grade ?? "")];
+    const found = stmt.findStudent.get(...key);
+    return found ? found.id : stmt.addStudent.run(...key).lastInsertRowid;
+  }
+
+  function withTurns(sessionRows, turnRows) {
+    const turns = new Map();
+    for (const row of turnRows) {
+      if (!turns.has(row.session_id)) turns.set(row.session_id, []);
+      turns.get(row.session_id).push(turnFromRow(row));
+    }
+    return sessionRows.map(row => sessionFromRow(row, turns.get(row.session_id) || []));
+  }
+
+  function sessionParams(data) {
+    return {
+      session_id: data.session_id,
+      end_ts: data.end_ts || null,
+      finished: data.state?.finished ? 1 : 0,
+      state: json(data.state),
+      summary: json(data.summary),
+      memory: json(data.memory)
+    };
+  }
+
+  // Insert turns that haven't been stored yet (no seq) and number them
+  function insertNewTurns(data) {
+    let { seq } = stmt.nextSeq.get(data.session_id);
+    for (const turn of data.turns || []) {
+      if (turn.seq) continue;
+      const { cols, extra } = splitTurn(turn);
+      stmt.addTurn.run({ session_id: data.session_id, seq, ...cols, extra });
+      turn.seq = seq++;
+    }
+  }
+
+  const insertSession = db.transaction((data) => {
+    const s = data.settings || {};
+    stmt.addSession.run({
+      ...sessionParams(data),
+      student_id: studentId(data.student),
+      start_ts: data.start_ts || new Date().toISOString(),
+      difficulty: s.difficulty ?? null,
+      topic: s.topic ?? null,
+      topic_id: s.topic_id ?? null,
+      side: s.side ?? null,
+      class_id: s.class_id ?? null,
+      assignment_id: s.assignment_id ?? null,
+      settings: json(s)
+    });
+    insertNewTurns(data);
+  });
+
+  // Compare-and-set on `finished`: no row updated means another request
+  // finished the session first, so its turns aren't added either
+  const save = db.transaction((data) => {
+    if (stmt.updateSession.run(sessionParams(data)).changes === 0) return false;
+    insertNewTurns(data);
+    return true;
+  });
+
+  // Merge patch into the latest turn for a round (read + write in one transaction)
+  const patchTurn = db.transaction((session_id, round, patch) => {
+    const row = stmt.lastTurnForRound.get(session_id, round);
+    if (!row) return null;
+    const turn = { ...turnFromRow(row), ...patch };
+    const { cols, extra } = splitTurn(turn);
+    stmt.setTurnExtra.run(extra, cols.latency_ms, row.id);
+    return turn;
+  });
+
+  const importFile = db.transaction((data) => {
+    if (stmt.getSession.get(data.session_id)) return false;
+    // Old files have no seq; number the turns in file order
+    data.turns = (data.turns || []).map(({ seq, ...t }) => t);
+    data.state = data.state || legacyState(data);
+    insertSession(data);
+    return true;
+  });
+
+  return {
+    createSession(data) {
+      insertSession(data);
+      return data;
+    },
+    getSession(session_id) {
+      const row = stmt.getSession.get(session_id);
+      if (!row) return null;
+      return sessionFromRow(row, stmt.turnsFor.all(session_id).map(turnFromRow));
+    },
+    saveSession(data) {
+      return save(data);
+    },
+    updateTurn(session_id, round, patch) {
+      return patchTurn(session_id, round, patch);
+    },
+    // Every session with its turns (two queries, not one per session)
+    listSessions() {
+      return withTurns(stmt.allSessions.all(), stmt.allTurns.all());
+    },
+    // Same, for one class's sessions, oldest first
+    classSessions(class_id) {
+      return withTurns(stmt.classSessions.all(class_id), stmt.classTurns.all(class_id));
+    },
+    // A student's latest sessions, newest first, without their turns. A class
+    // roster entry (class_id + roster_id) is looked up by its id, so two
+    // students with the same name don't share history; anonymous play is
+    // matched by name and grade among sessions without a roster entry.
+    recentSessions({ first_name = "", last_initial = "", grade = "", class_id = null, roster_id = null } = {}, limit = 10) {
+      const rows = class_id && roster_id
+        ? stmt.rosterSessions.all(class_id, roster_id, limit)
+        : stmt.studentSessions.all(String(first_name ?? ""), String(last_initial ?? ""), String(grade ?? ""), limit);
+      return rows.map(row => sessionFromRow(row, []));
+    },
+    // One-time import of data/sessions/*.json; sessions already stored are skipped
+    importSessionFiles(dir) {
+      const result = { imported: 0, skipped: 0, failed: [] };
+      if (!fs.existsSync(dir)) return result;
+      for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          if (!data?.session_id || !data.settings) throw new Error('not a session file');
+          if (importFile(data)) result.imported++;
+          else result.skipped++;
+        } catch (err) {
+          result.failed.push({ file, error: err.message });
+        }
+      }
+      stmt.setMeta.run('sessions_imported_ts', new Date().toISOString());
+      return result;
+    },
+    getMeta(key) {
+      return stmt.getMeta.get(key)?.value ?? null;
+    },
+    setMeta(key, value) {
+      stmt.setMeta.run(key, value);
+    },
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// lib/text.js – word counts and readability for any supported language
+//
+// wordCount(text)                    words in any script ("don't", "niño" and "2024" are one each)
+// readabilityGrade(text, formula)    approximate US school grade of the text
+//
+// Formulas (a locale picks one, see lib/i18n.js):
+//   "flesch-kincaid"    English: 0.39 × words/sentence + 11.8 × syllables/word − 15.59
+//   "fernandez-huerta"  Spanish reading ease L = 206.84 − 0.60 P − 1.02 F
+//                       (P = syllables per 100 words, F = words per sentence, as
+//                       corrected by Law, 2011), mapped onto the same grade scale
+//                       as Flesch reading ease so reports and averages compare.
+
+export const READABILITY_FORMULAS = ["flesch-kincaid", "fernandez-huerta"];
+
+const WORD_RE = /[\p{L}\p{M}\p{N}_]+(?:['’][\p{L}\p{M}\p{N}_]+)*/gu;
+
+export const words = (text = "") => (text || "").match(WORD_RE) || [];
+export const wordCount = (text = "") => words(text).length;
+
+const sentences = (text = "") => (text || "").split(/[.!?…]+/).filter(s => /[\p{L}\p{N}]/u.test(s));
+
+/* ------------------------------- Syllables ------------------------------- */
+
+function syllablesEn(word) {
+  word = (word || '').toLowerCase().replace(/e\b/, '');
+  const m = word.match(/[aeiouy]{1,2}/g);
+  return m ? m.length : 1;
+}
+
+// Spanish: one syllable per vowel group, split where two strong vowels meet
+// (po-e-ta) or a stressed í/ú stands next to another vowel (dí-a, pa-ís).
+// "y" is a vowel only when no vowel follows it (hoy, muy).
+const ES_VOWEL = { a: "strong", e: "strong", o: "strong", á: "strong", é: "strong", ó: "strong",
+  í: "stressed", ú: "stressed", i: "weak", u: "weak", ü: "weak", y: "weak" };
+
+function syllablesEs(word) {
+  const w = (word || '').toLowerCase().replace(/y(?=[aeiouáéíóúü])/g, "j");
+  let count = 0;
+  let prev = null;        // kind of the previous letter while inside a vowel group
+  for (const ch of w) {
+    const kind = ES_VOWEL[ch] || null;
+    if (kind && (prev === null || (prev !== "weak" && kind !== "weak"))) count++;
+    prev = kind;
+  }
+  return Math.max(1, count);
+}
+
+/* ------------------------------ Readability ------------------------------ */
+
+// Reading ease (0–100+, higher = easier) → school grade, using the usual
+// Flesch bands: 90 ≈ 5th grade, 70 ≈ 7th, 50 ≈ 12th, 30 ≈ college
+const EASE_TO_GRADE = [[120, 2], [100, 4], [90, 5], [80, 6], [70, 7], [60, 9], [50, 12], [30, 16], [0, 18]];
+
+function easeToGrade(ease) {
+  const e = Math.max(0, Math.min(120, ease));
+  for (let i = 1; i < EASE_TO_GRADE.length; i++) {
+    const [hiEase, hiGrade] = EASE_TO_GRADE[i - 1];
+    const [loEase, loGrade] = EASE_TO_GRADE[i];
+    if (e >= loEase) return hiGrade + (hiEase - e) / (hiEase - loEase) * (loGrade - hiGrade);
+  }
+  return EASE_TO_GRADE[EASE_TO_GRADE.length - 1][1];
+}
+
+export function readabilityGrade(text, formula = "flesch-kincaid") {
+  const list = words(text);
+  const sentenceCount = sentences(text).length;
+  if (list.length === 0 || sentenceCount === 0) return 0;
+
+  if (formula === "fernandez-huerta") {
+    const syllables = list.reduce((a, w) => a + syllablesEs(w), 0);
+    const ease = 206.84 - 0.60 * (100 * syllables / list.length) - 1.02 * (list.length / sentenceCount);
+    return +easeToGrade(ease).toFixed(2);
+  }
+
+  const syllables = list.reduce((a, w) => a + syllablesEn(w), 0);
+  const grade = 0.39 * (list.length / sentenceCount)
+              + 11.8 * (syllables / list.length)
+              - 15.59;
+  return +grade.toFixed(2);
+}
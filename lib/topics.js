@@ -0,0 +1,281 @@
+// lib/topics.js – debate topic catalog stored as data (data/topics.json)
+//
+// A topic record:
+// {
+//   id, title, description, grade_band,        // grade_band e.g. "6-8"
+//   keywords: [string],                        // on-topic detection
+//   talking_points: { pro: [string], con: [string] },
+//   evidence: [{ id, text, source, url, side }],  // vetted facts students can cite
+//   enabled: boolean
+// }
+// Evidence `side` is "pro", "con" or "either"; ids ("ev1", "ev2"…) stay the
+// same when an entry is edited, so turns that cited it still point at it.
+// Catalogs saved before the library existed get the seed evidence for their
+// built-in topics when loaded.
+import fs from 'fs';
+import path from 'path';
+
+// Seed catalog written the first time the store is opened
+export const DEFAULT_TOPICS = [
+  {
+    title: "Homework should be optional",
+    description: "Should students get to choose whether to do homework, or should it stay required?",
+    grade_band: "6-8",
+    keywords: [
+      "homework","assignment","study","after school","optional","practice","workload","busywork",
+      "stress","stressed","tired","drained","overwhelmed","relax","free time","time at home","worksheet","due"
+    ],
+    talking_points: {
+      pro: ["More time for rest, family and activities", "Less stress and burnout", "Students who need practice can still choose it"],
+      con: ["Practice helps students remember what they learned", "Builds responsibility and time management", "Shows teachers who needs extra help"]
+    },
+    evidence: [
+      { text: "Researchers suggest about 10 minutes of homework per grade per night — around 70 minutes in 7th grade — and say more than that helps little.",
+        source: "National Education Association, “Research Spotlight on Homework”", side: "pro" },
+      { text: "In a 2013 Stanford study of high-achieving high schools, 56% of students said homework was a main source of stress.",
+        source: "Galloway, Conner & Pope, Journal of Experimental Education (2013)", side: "pro" },
+      { text: "A review of dozens of studies found that students who do homework tend to do better in school, especially in grades 7–12.",
+        source: "Cooper, Robinson & Patall, Review of Educational Research (2006)", side: "con" },
+      { text: "Practice that makes you recall what you learned (like quiz questions at home) helps you remember it longer than re-reading.",
+        source: "Roediger & Karpicke, Psychological Science (2006)", side: "con" }
+    ]
+  },
+  {
+    title: "School should start later",
+    description: "Should middle and high schools move their morning start time later?",
+    grade_band: "6-8",
+    keywords: [
+      "start time","start later","sleep","tired","morning","bell schedule","wake up","too early","rest","fatigue","bus schedule"
+    ],
+    talking_points: {
+      pro: ["Teens naturally fall asleep later and need more sleep", "Better focus and mood in class", "Fewer students late or absent"],
+      con: ["Bus schedules and costs would change", "Later end time cuts into sports, jobs and activities", "Harder for families with work schedules"]
+    },
+    evidence: [
+      { text: "The American Academy of Pediatrics recommends that middle and high schools start at 8:30 a.m. or later.",
+        source: "American Academy of Pediatrics policy statement (2014)", side: "pro" },
+      { text: "Teens need 8 to 10 hours of sleep a night.",
+        source: "American Academy of Sleep Medicine (2016)", side: "pro" },
+      { text: "When Seattle high schools moved the start time from 7:50 to 8:45 a.m., students slept about 34 minutes more each night.",
+        source: "Dunster et al., Science Advances (2018)", side: "pro" },
+      { text: "Fairfax County, Virginia, spent about $5 million a year on extra buses and drivers when it moved high school start times later in 2015.",
+        source: "Fairfax County Public Schools (2015)", side: "con" },
+      { text: "In 2022 California became the first state to require later start times: no earlier than 8:00 a.m. for middle schools and 8:30 a.m. for high schools.",
+        source: "California Senate Bill 328 (2019)", side: "either" }
+    ]
+  },
+  {
+    title: "Video games can help learning",
+    description: "Can playing video games help students learn skills and school subjects?",
+    grade_band: "6-8",
+    keywords: [
+      "video game","gaming","game","learn","learning","educational","practice","skills",
+      "strategy","puzzle","problem solving","memory","hand eye coordination","minecraft","fortnite","roblox"
+    ],
+    talking_points: {
+      pro: ["Games build problem solving and strategy", "Educational games make practice fun", "Teamwork and communication in multiplayer games"],
+      con: ["Too much screen time hurts sleep and focus", "Many games aren't designed to teach anything", "Can distract from homework and reading"]
+    },
+    evidence: [
+      { text: "A review of research found that action and strategy games can improve attention, spatial thinking and problem solving.",
+        source: "Granic, Lobel & Engels, American Psychologist (2014)", side: "pro" },
+      { text: "In a study of about 2,000 children, those who gamed 3 or more hours a day did better on memory and impulse-control tests than those who never played.",
+        source: "Chaarani et al., JAMA Network Open (2022)", side: "pro" },
+      { text: "Pediatricians advise keeping screens out of bedrooms and away from bedtime because screen use can cut into sleep.",
+        source: "American Academy of Pediatrics, Family Media Plan", side: "con" },
+      { text: "The World Health Organization lists “gaming disorder” — gaming that takes over daily life — as a health condition.",
+        source: "World Health Organization, ICD-11 (2019)", side: "con" }
+    ]
+  },
+  {
+    title: "School uniforms are a good idea",
+    description: "Should students have to wear school uniforms?",
+    grade_band: "6-8",
+    keywords: [
+      "uniform","dress code","clothes","bullying","equal","equality","cost","same outfit","appearance","brand","fashion","fairness"
+    ],
+    talking_points: {
+      pro: ["Less teasing about clothes and brands", "Easier, faster mornings", "Builds school spirit"],
+      con: ["Limits self-expression", "Uniforms can be expensive for families", "Doesn't solve bullying on its own"]
+    },
+    evidence: [
+      { text: "About 1 in 5 U.S. public schools require students to wear uniforms.",
+        source: "National Center for Education Statistics", side: "either" },
+      { text: "Long Beach, California, was the first large U.S. district to require uniforms (1994); it reported fewer fights and suspensions afterwards.",
+        source: "U.S. Department of Education, Manual on School Uniforms (1996)", side: "pro" },
+      { text: "A large study of elementary schools found uniforms did not improve students’ behavior or attendance.",
+        source: "Ansari, Shepard & Gottfried, Early Childhood Research Quarterly (2021)", side: "con" }
+    ]
+  },
+  {
+    title: "Zoos are helpful for animals",
+    description: "Do zoos do more good than harm for animals?",
+    grade_band: "6-8",
+    keywords: [
+      "zoo","animal","habitat","conservation","rescue","species","extinct","breeding","sanctuary","care","keepers","protection"
+    ],
+    talking_points: {
+      pro: ["Breeding programs protect endangered species", "Rescue and care for injured animals", "Teach people to care about wildlife"],
+      con: ["Enclosures are much smaller than the wild", "Captivity can stress animals", "Money could go to protecting wild habitats instead"]
+    },
+    evidence: [
+      { text: "Zoo breeding programs helped bring the California condor back from just 27 birds in 1987 to more than 500 today.",
+        source: "U.S. Fish and Wildlife Service", side: "pro" },
+      { text: "The Arabian oryx had died out in the wild by 1972; herds bred in zoos were used to bring it back.",
+        source: "IUCN Red List", side: "pro" },
+      { text: "Wide-ranging animals like polar bears and lions show more stress behaviors, such as pacing, in zoo enclosures.",
+        source: "Clubb & Mason, Nature (2003)", side: "con" },
+      { text: "African elephants in European zoos lived about 17 years on average (median), compared with about 56 years in a protected park in Kenya.",
+        source: "Clubb et al., Science (2008)", side: "con" }
+    ]
+  }
+];
+
+export function slugify(title = "") {
+  return title.toString().toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "")
+    .slice(0, 48) || "topic";
+}
+
+const strList = v => Array.isArray(v) ? v.map(x => String(x).trim()).filter(Boolean) : [];
+
+export const EVIDENCE_SIDES = ["pro", "con", "either"];
+const EVIDENCE_LIMITS = { items: 20, text: 280, source: 160, url: 500 };
+
+// Check an evidence list; entries keep an id they already have in `existing`,
+// new ones get the next free "ev<n>". Returns { evidence } or { error }.
+function normalizeEvidence(input, existing = []) {
+  if (!Array.isArray(input)) return { error: "evidence must be an array of { text, source, url, side }" };
+  if (input.length > EVIDENCE_LIMITS.items) return { error: `A topic can have at most ${EVIDENCE_LIMITS.items} evidence entries` };
+
+  const known = new Set(existing.map(e => e.id));
+  let next = Math.max(0, ...existing.map(e => Number(/^ev(\d+)$/.exec(e.id)?.[1]) || 0)) + 1;
+  const evidence = [];
+  for (const item of input) {
+    const text = (item?.text ?? "").toString().trim();
+    const source = (item?.source ?? "").toString().trim();
+    const url = (item?.url ?? "").toString().trim();
+    const side = item?.side ?? "either";
+    if (!text || !source) return { error: "Every evidence entry needs text and a source" };
+    if (text.length > EVIDENCE_LIMITS.text) return { error: `Evidence text must be ${EVIDENCE_LIMITS.text} characters or fewer` };
+    if (source.length > EVIDENCE_LIMITS.source) return { error: `Evidence sources must be ${EVIDENCE_LIMITS.source} characters or fewer` };
+    if (url && (!/^https?:\/\//i.test(url) || url.length > EVIDENCE_LIMITS.url)) return { error: "Evidence links must be http(s) URLs" };
+    if (!EVIDENCE_SIDES.includes(side)) return { error: `Evidence side must be one of ${EVIDENCE_SIDES.join(", ")}` };
+
+    const id = known.has(item.id) && !evidence.some(e => e.id === item.id) ? item.id : `ev${next++}`;
+    evidence.push({ id, text, source, url, side });
+  }
+  return { evidence };
+}
+
+// Seed evidence with ids, for new catalogs and for older ones without a library
+function seedEvidence(title) {
+  const seed = DEFAULT_TOPICS.find(t => t.title === title)?.evidence || [];
+  return normalizeEvidence(seed).evidence;
+}
+
+// Check and normalize a topic payload. `existing` is the record being
+// updated (PUT), so missing fields keep their current values.
+// Returns { topic } or { error }.
+function normalizeTopic(input = {}, existing = null) {
+  const base = existing || { description: "", grade_band: "", keywords: [], talking_points: { pro: [], con: [] }, evidence: [], enabled: true };
+  const title = (input.title ?? base.title ?? "").toString().trim();
+  if (!title) return { error: "Title is required" };
+  if (title.length > 120) return { error: "Title must be 120 characters or fewer" };
+
+  if (input.keywords !== undefined && !Array.isArray(input.keywords)) return { error: "keywords must be an array of strings" };
+  const tp = input.talking_points;
+  if (tp !== undefined && (typeof tp !== "object" || Array.isArray(tp) || tp === null)) {
+    return { error: "talking_points must be { pro: [...], con: [...] }" };
+  }
+  const checked = input.evidence !== undefined ? normalizeEvidence(input.evidence, base.evidence || []) : { evidence: base.evidence || [] };
+  if (checked.error) return { error: checked.error };
+
+  return {
+    topic: {
+      id: base.id,
+      title,
+      description: (input.description ?? base.description ?? "").toString().trim(),
+      grade_band: (input.grade_band ?? base.grade_band ?? "").toString().trim(),
+      keywords: input.keywords !== undefined
+        ? strList(input.keywords).map(k => k.toLowerCase())
+        : base.keywords,
+      talking_points: {
+        pro: tp?.pro !== undefined ? strList(tp.pro) : base.talking_points.pro,
+        con: tp?.con !== undefined ? strList(tp.con) : base.talking_points.con
+      },
+      evidence: checked.evidence,
+      enabled: input.enabled !== undefined ? Boolean(input.enabled) : base.enabled
+    }
+  };
+}
+
+export function createTopicStore(filePath) {
+  let topics = [];
+
+  function save() {
+    fs.writeFileSync(filePath, JSON.stringify(topics, null, 2));
+  }
+
+  if (fs.existsSync(filePath)) {
+    topics = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (topics.some(t => !t.evidence)) {
+      topics = topics.map(t => (t.evidence ? t : { ...t, evidence: seedEvidence(t.title) }));
+      save();
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    topics = DEFAULT_TOPICS.map(t => ({ id: slugify(t.title), ...t, evidence: seedEvidence(t.title), enabled: true }));
+    save();
+  }
+
+  function uniqueId(title) {
+    const base = slugify(title);
+    let id = base, n = 2;
+    while (topics.some(t => t.id === id)) id = `${base}-${n++}`;
+    return id;
+  }
+  const titleTaken = (title, exceptId) =>
+    topics.some(t => t.id !== exceptId && t.title.toLowerCase() === title.toLowerCase());
+
+  return {
+    list({ includeDisabled = false } = {}) {
+      return topics.filter(t => includeDisabled || t.enabled);
+    },
+    get(id) {
+      return topics.find(t => t.id === id) || null;
+    },
+    // Sessions store the topic title, so lookups by title are common
+    findByTitle(title) {
+      const want = (title || "").toString().trim().toLowerCase();
+      return topics.find(t => t.title.toLowerCase() === want) || null;
+    },
+    create(input) {
+      const { topic, error } = normalizeTopic(input);
+      if (error) return { error };
+      if (titleTaken(topic.title)) return { error: "A topic with that title already exists" };
+      topic.id = uniqueId(topic.title);
+      topics.push(topic);
+      save();
+      return { topic };
+    },
+    update(id, input) {
+      const existing = this.get(id);
+      if (!existing) return { error: "Topic not found", notFound: true };
+      const { topic, error } = normalizeTopic(input, existing);
+      if (error) return { error };
+      if (titleTaken(topic.title, id)) return { error: "A topic with that title already exists" };
+      topics = topics.map(t => (t.id === id ? topic : t));
+      save();
+      return { topic };
+    },
+    remove(id) {
+      const before = topics.length;
+      topics = topics.filter(t => t.id !== id);
+      if (topics.length === before) return false;
+      save();
+      return true;
+    }
+  };
+}
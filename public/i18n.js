@@ -0,0 +1,55 @@
+// i18n.js – shared by the student pages: UI strings in the student's language
+// (GET /api/locales/:id, see lib/i18n.js). The markup is written in English
+// and keeps that text for any key the strings don't have.
+//
+//   await i18n.load("es")       fetch the strings and translate the page
+//   i18n.t("counter", { used }) one string, {name} placeholders filled in
+//
+// Markup: data-i18n="key" sets the text; data-i18n-placeholder,
+// data-i18n-title and data-i18n-aria-label set those attributes.
+(() => {
+  const ATTRS = { placeholder: "placeholder", title: "title", ariaLabel: "aria-label" };
+  let strings = {};
+  let current = "en";
+
+  function t(key, vars = {}) {
+    const s = strings[key];
+    if (typeof s !== "string") return key;
+    return s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m));
+  }
+
+  function apply(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => {
+      if (strings[el.dataset.i18n]) el.textContent = t(el.dataset.i18n);
+    });
+    for (const [prop, attr] of Object.entries(ATTRS)) {
+      const dataKey = `i18n${prop[0].toUpperCase()}${prop.slice(1)}`;
+      root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+        const key = el.dataset[dataKey];
+        if (strings[key]) el.setAttribute(attr, t(key));
+      });
+    }
+    document.documentElement.lang = current;
+  }
+
+  async function load(id = "en") {
+    try {
+      const resp = await fetch(`/api/locales/${encodeURIComponent(id)}`);
+      if (!resp.ok && id !== "en") return load("en");
+      const data = await resp.json();
+      strings = data.strings || {};
+      current = data.locale?.id || "en";
+    } catch (err) {
+      console.error(err);
+    }
+    apply();
+    return current;
+  }
+
+  // The language the browser prefers, if we have it
+  const preferred = (ids) => (navigator.languages || [navigator.language || "en"])
+    .map((l) => l.slice(0, 2).toLowerCase())
+    .find((l) => ids.includes(l)) || "en";
+
+  window.i18n = { load, t, apply, preferred, get locale() { return current; } };
+})();
@@ -1,5 +1,5 @@
 // script.js – full debate flow with word limits, popups, HUD, side picker, robot glow
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
   const SETTINGS_KEY = "debate_user_settings_v1";
   let settings = null;
   try {
@@ -11,10 +11,16 @@ document.addEventListener("DOMContentLoaded", () => {
     return;
   }
 
+  // UI strings in the language picked on the welcome page (see i18n.js)
+  const { t } = window.i18n;
+  await window.i18n.load(settings.locale || "en");
+
   // Elements
   const chatBox        = document.getElementById("chatBox");
   const studentInput   = document.getElementById("studentInput");
   const submitBtn      = document.getElementById("submitBtn");
+  const helpBtn        = document.getElementById("helpBtn");
+  const evidenceBtn    = document.getElementById("evidenceBtn");
   const studentThought = document.getElementById("studentThought");
   const aiThought      = document.getElementById("aiThought");
   const lightBulb      = document.getElementById("lightBulb");
@@ -26,24 +32,32 @@ document.addEventListener("DOMContentLoaded", () => {
   const understoodBtn  = document.getElementById("understoodBtn");
   const topicPopup     = document.getElementById("topicPopup");
   const confirmTopicBtn= document.getElementById("confirmTopicBtn");
-  const topicButtons   = Array.from(document.querySelectorAll(".topic-btn"));
+  const topicList      = document.getElementById("topicList");
 
   // HUD
   const hud        = document.getElementById("hud");
   const hudFill    = document.getElementById("hudFill");
   const hudLabelEl = document.getElementById("hudLabel");
 
-  // Session
+  // Session (the token proves to the server this browser started it)
   let sessionId = null;
+  let sessionToken = null;
+  const sessionHeaders = () => ({ "Content-Type": "application/json", "X-Session-Token": sessionToken || "" });
 
   // State
   let currentRound = 1;
-  const MAX_ROUNDS = 5;
+  let maxRounds = settings?.assignment?.max_rounds || 5;   // class assignments can change this
+  let phase = null;   // current phase of the debate format, from the server
   let finishedReady = false;
-  let selectedTopic = settings?.topic || null;
-  let lastHUD = { meter: 50, leader: "tied", label: "Neck and neck" };
+  let selectedTopic = settings?.topic || null;        // title, shown to the student
+  let selectedTopicId = settings?.topic_id || null;   // catalog id, sent to the server
+  let lastHUD = { meter: 50, leader: "tied", label: t("hud.tied") };
   let endedForViolation = false;
   let violationReason = "";
+  let hints = null;          // { used, limit, remaining } for "Help me argue", from the server
+  let waitingOnAI = false;   // a turn or a hint is on its way
+  let library = [];          // the topic's evidence library (own side and "either" first)
+  let cited = [];            // entries attached to the next argument
 
 
   // Map difficulty to client-side max words
@@ -57,32 +71,72 @@ document.addEventListener("DOMContentLoaded", () => {
       default:             return { maxWords: 90 };
     }
   }
+  // Adaptive sessions start at a level the server picks and may change it between rounds
   const behavior = mapDifficultyToBehavior(settings?.difficulty || "Normal");
+  let currentDifficulty = settings?.difficulty || "Normal";
 
   // Helpers
   const safe = (el, cb) => { if (el) cb(el); };
   const now = () => performance.now();
 
   function updateRoundDisplay() {
-    safe(roundTracker, el => el.textContent = `Round ${currentRound} of ${MAX_ROUNDS}`);
+    // One-phase formats ("Classic") just show the round
+    const phaseText = phase && phase.rounds < maxRounds ? ` · ${phase.name}` : "";
+    safe(roundTracker, el => el.textContent = t("round.tracker", { round: currentRound, max: maxRounds, phase: phaseText }));
   }
+  updateRoundDisplay();
+  safe(document.getElementById("introRounds"), el => el.textContent = t("intro.rounds", { rounds: maxRounds }));
+  safe(studentThought, el => el.textContent = t("thought.student", { text: "..." }));
+  safe(aiThought, el => el.textContent = t("thought.ai", { text: "..." }));
 
+  // sender "AI" is the debate partner (styled and labelled as such); anything else is the student
   function addMessage(sender, text) {
     if (!chatBox) return;
     const div = document.createElement("div");
     div.className = `chat-message ${sender === "AI" ? "ai" : "student"}`;
-    div.innerHTML = `<strong>${sender}:</strong> ${text}`;
+    div.innerHTML = `<strong>${sender === "AI" ? t("chat.ai") : sender}:</strong> ${text}`;
+    chatBox.appendChild(div);
+    chatBox.scrollTop = chatBox.scrollHeight;
+  }
+
+  // Small line under a message (plain text, e.g. the evidence it cited)
+  function addNote(text) {
+    if (!chatBox) return;
+    const div = document.createElement("div");
+    div.className = "chat-message student cited-list";
+    div.textContent = text;
     chatBox.appendChild(div);
     chatBox.scrollTop = chatBox.scrollHeight;
   }
 
+  // Chat line whose text grows as a streamed reply arrives
+  function addStreamingMessage(sender) {
+    const div = document.createElement("div");
+    div.className = `chat-message ${sender === "AI" ? "ai" : "student"}`;
+    const strong = document.createElement("strong");
+    strong.textContent = `${sender === "AI" ? t("chat.ai") : sender}:`;
+    const span = document.createElement("span");
+    div.append(strong, " ", span);
+    chatBox?.appendChild(div);
+
+    return {
+      get text() { return span.textContent; },
+      append(t) {
+        span.textContent += t;
+        chatBox.scrollTop = chatBox.scrollHeight;
+      },
+      set(t) { span.textContent = t; },
+      remove() { div.remove(); }
+    };
+  }
+
   function showBubble(el, text) {
     if (!el) return;
     el.textContent = text;
     el.classList.add("show");
   }
 
-  function updateHUD(meter = 50, label = "Neck and neck") {
+  function updateHUD(meter = 50, label = t("hud.tied")) {
     if (!hud || !hudFill || !hudLabelEl) return;
     hud.classList.remove("hidden");
     const clamped = Math.max(0, Math.min(100, meter));
@@ -90,53 +144,63 @@ document.addEventListener("DOMContentLoaded", () => {
     hudFill.setAttribute("aria-valuenow", clamped.toString());
     hudLabelEl.textContent = label;
   }
-  updateHUD(50, "Neck and neck");
+  updateHUD(50, t("hud.tied"));
+
+  // ===== Rubric scorecard (shown after each round) =====
+  const rubricPanel = document.getElementById("rubricPanel");
+  function renderRubric(rubric, round) {
+    if (!rubricPanel || !rubric) return;
+    document.getElementById("rubricTitle").textContent = t("rubric.title", { round });
+    const list = document.getElementById("rubricList");
+    list.innerHTML = "";
+    rubric.criteria.forEach((c) => {
+      const li = document.createElement("li");
+      const name = document.createElement("span");
+      name.textContent = c.label;
+      const dots = document.createElement("span");
+      dots.className = "rubric-score";
+      dots.textContent = c.score === null
+        ? "—"
+        : `${"●".repeat(c.score)}${"○".repeat(c.max - c.score)} ${c.score}/${c.max}`;
+      li.append(name, dots);
+      list.appendChild(li);
+    });
+    document.getElementById("rubricTip").textContent = `💡 ${rubric.tip}`;
+    rubricPanel.classList.remove("hidden");
+  }
 
   function makeLeadReasoning(round, hudObj, stance, topic) {
     const who = hudObj?.leader || "tied";
-    const t = topic ? ` on “${topic}”` : "";
-    const r1 = {
-      ai:      `After Round 1${t}, the AI is slightly ahead for clearer structure and examples.`,
-      student: `After Round 1${t}, the student leads with relatable reasons and personal experience.`,
-      tied:    `After Round 1${t}, it’s very close — both sides made clear opening points.`
-    };
-    const r2 = {
-      ai:      `After Round 2${t}, the AI pulled ahead with tighter logic and focus.`,
-      student: `After Round 2${t}, the student is ahead with stronger support and real-life links.`,
-      tied:    `After Round 2${t}, it’s still neck and neck — strong points on both sides.`
-    };
-    const r3 = {
-      ai:      `After the final round${t}, the AI edges ahead thanks to organized reasoning.`,
-      student: `After the final round${t}, the student leads with convincing, well-supported ideas.`,
-      tied:    `After the final round${t}, it’s very close — thoughtful arguments from both sides.`
-    };
-
-    // We have 5 rounds now, but keep text generic (“final round”) for last
-    let bank = r1;
-    if (round >= MAX_ROUNDS) bank = r3;
-    else if (round >= Math.ceil(MAX_ROUNDS/2)) bank = r2;
-
-    if (who === "ai") return bank.ai;
-    if (who === "student") return bank.student;
-    if (stance === "agree") return bank.student;
-    if (stance === "disagree") return bank.ai;
-    return bank.tied;
+    const on = topic ? t("lead.on_topic", { topic }) : "";
+
+    // Round count varies by assignment, so keep text generic (“final round”) for last
+    let bank = "r1";
+    if (round >= maxRounds) bank = "r3";
+    else if (round >= Math.ceil(maxRounds/2)) bank = "r2";
+
+    let side = "tied";
+    if (who === "ai" || who === "student") side = who;
+    else if (stance === "agree") side = "student";
+    else if (stance === "disagree") side = "ai";
+    return t(`lead.${bank}.${side}`, { topic: on });
   }
 
   // ===== Live word counter =====
   const counter = document.createElement("div");
   counter.id = "wordCounter";
-  counter.textContent = `0 / ${behavior.maxWords} words`;
+  counter.textContent = t("counter", { used: 0, max: behavior.maxWords });
   if (studentInput && studentInput.parentNode) {
     studentInput.parentNode.insertBefore(counter, studentInput.nextSibling);
   }
 
+  // Words in any language ("don't", "niño" and "2024" are one each), as the server counts them
   function currentWordCount(str) {
-    return (str.match(/\b[\w']+\b/g) || []).length;
+    return (str.match(/[\p{L}\p{M}\p{N}_]+(?:['’][\p{L}\p{M}\p{N}_]+)*/gu) || []).length;
   }
   function refreshCounter() {
     const used = currentWordCount(studentInput.value || "");
-    counter.textContent = `${used} / ${behavior.maxWords} words`;
+    counter.textContent = t("counter", { used, max: behavior.maxWords });
+    studentInput.placeholder = t("input.placeholder", { max: behavior.maxWords });
     const over = used > behavior.maxWords;
     counter.style.color = over ? "#fca5a5" : "";
     submitBtn.disabled = over || submitBtn.dataset.locked === "1";
@@ -151,21 +215,20 @@ document.addEventListener("DOMContentLoaded", () => {
 
   sidePopup.innerHTML = `
     <div class="popup-content">
-      <h2 style="margin:0 0 8px 0;">Pick your side</h2>
-      <p style="margin:0 0 16px 0;opacity:.9">
-        For the topic “<span id="sideTopic"></span>”, are you <strong>FOR</strong> it or <strong>AGAINST</strong> it?
-      </p>
+      <h2 style="margin:0 0 8px 0;" data-i18n="side.heading">Pick your side</h2>
+      <p id="sideQuestion" style="margin:0 0 16px 0;opacity:.9"></p>
       <div style="display:flex;gap:10px;margin-bottom:8px;">
-        <button id="sideFor" class="btn-primary" type="button">I’m FOR</button>
-        <button id="sideAgainst" class="btn-secondary" type="button">I’m AGAINST</button>
+        <button id="sideFor" class="btn-primary" type="button" data-i18n="side.for">I’m FOR</button>
+        <button id="sideAgainst" class="btn-secondary" type="button" data-i18n="side.against">I’m AGAINST</button>
       </div>
-      <small class="muted">The AI will argue the opposite side to keep the debate interesting.</small>
+      <small class="muted" data-i18n="side.note">The AI will argue the opposite side to keep the debate interesting.</small>
     </div>`;
+  window.i18n.apply(sidePopup);
   document.body.appendChild(sidePopup);
 
   function showSidePopup() {
-    const span = sidePopup.querySelector("#sideTopic");
-    if (span) span.textContent = selectedTopic || "";
+    const question = sidePopup.querySelector("#sideQuestion");
+    if (question) question.textContent = t("side.question", { topic: selectedTopic || "" });
     sidePopup.classList.remove("hidden");
   }
   function hideSidePopup() {
@@ -183,15 +246,13 @@ document.addEventListener("DOMContentLoaded", () => {
     studentInput.focus();
 
     const opp = settings.side === "pro"
-      ? "AGAINST"
+      ? t("side.against_word")
       : settings.side === "con"
-        ? "FOR"
-        : "OPPOSITE";
+        ? t("side.for_word")
+        : t("side.opposite_word");
+    const mine = settings.side === "pro" ? t("side.pro") : settings.side === "con" ? t("side.con") : "";
 
-    addMessage(
-      "AI",
-      `Great! We’ll debate: “${selectedTopic}”. You are **${(settings.side || "").toUpperCase()}**; I’ll argue the **${opp}** side. Keep arguments school-appropriate. 👍`
-    );
+    addMessage("AI", t("side.confirm", { topic: selectedTopic, side: mine, opposite: opp }));
 
     await startSession();
   }
@@ -219,55 +280,62 @@ document.addEventListener("DOMContentLoaded", () => {
         last_initial: settings.lastInitial,
         grade: settings.grade,
         difficulty: settings.difficulty,
+        topic_id: selectedTopicId,
         topic: selectedTopic,
-        side: settings.side || null
+        side: settings.side || null,
+        locale: window.i18n.locale,
+        class_code: settings.classCode || null
       })
     });
     const data = await resp.json();
+    if (!resp.ok) {
+      addMessage("AI", data?.error || t("chat.start_error"));
+      return;
+    }
     sessionId = data.session_id;
+    sessionToken = data.session_token;
+    currentRound = data.round || 1;
+    maxRounds = data.settings?.max_rounds || maxRounds;
+    if (data.difficulty) {
+      currentDifficulty = data.difficulty;
+      behavior.maxWords = mapDifficultyToBehavior(currentDifficulty).maxWords;
+    }
+    enterPhase(data.phase);
+    updateRoundDisplay();
+    hints = data.hints || null;
+    refreshHelp();
+    await loadLibrary();
+  }
+
+  // Phase word limits override the difficulty's; a new phase explains itself
+  function enterPhase(next) {
+    if (!next) return;
+    phase = next;
+    if (next.max_words) behavior.maxWords = next.max_words;
+    if (next.first && next.student_prompt) addMessage("AI", next.student_prompt);
+    refreshCounter();
   }
 
+  // The server records each turn itself; we only report the latency we saw
   async function logTurn(payload) {
     if (!sessionId) return;
     await fetch("/api/session/logTurn", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: sessionHeaders(),
       body: JSON.stringify({ session_id: sessionId, ...payload })
     });
   }
 
-  async function finishSession(finalHud, violationsTotal = 0) {
-    if (!sessionId) return;
-    await fetch("/api/session/finish", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        session_id: sessionId,
-        winner_final: finalHud?.leader || "tied",
-        hud_avg: null,
-        hud_last: finalHud?.meter ?? null,
-        violations_total: violationsTotal
-      })
-    });
-  }
-
+  // Round, side, difficulty and topic live on the server session
   async function callDebateAPI(message) {
     const resp = await fetch("/api/debate", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: sessionHeaders(),
       body: JSON.stringify({
+        session_id: sessionId,
         message,
-        difficulty: settings?.difficulty || "Normal",
         round: currentRound,
-        topic: selectedTopic || null,
-        studentSide: settings?.side || null,
-        studentInfo: {
-          firstName: settings.firstName,
-          lastInitial: settings.lastInitial,
-          grade: settings.grade,
-          difficulty: settings.difficulty,
-          topic: selectedTopic || null
-        }
+        evidence_ids: cited.map((e) => e.id)
       })
     });
     const data = await resp.json();
@@ -275,24 +343,188 @@ document.addEventListener("DOMContentLoaded", () => {
     return data;
   }
 
-  async function callExplainAPI(student, reply) {
+  // Streaming variant: calls onDelta(text) as the reply is generated, then
+  // resolves with the same JSON /api/debate returns. Falls back to the plain
+  // route on browsers without fetch streams.
+  const canStream = typeof ReadableStream !== "undefined" && "body" in Response.prototype;
+
+  async function callDebateStream(message, onDelta) {
+    if (!canStream) return callDebateAPI(message);
+
+    const resp = await fetch("/api/debate/stream", {
+      method: "POST",
+      headers: sessionHeaders(),
+      body: JSON.stringify({ session_id: sessionId, message, round: currentRound, evidence_ids: cited.map((e) => e.id) })
+    });
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw new Error(data?.error || "API error");
+    }
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+
+      let idx;
+      while ((idx = buf.indexOf("\n\n")) !== -1) {
+        const block = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const event = (block.match(/^event: (.*)$/m) || [])[1];
+        const raw = (block.match(/^data: (.*)$/m) || [])[1];
+        if (!event || raw === undefined) continue;
+        const payload = JSON.parse(raw);
+
+        if (event === "delta") onDelta(payload.text);
+        else if (event === "final") return payload;
+        else if (event === "error") throw new Error(payload.error || "API error");
+      }
+    }
+    throw new Error(t("chat.connection_closed"));
+  }
+
+  async function callExplainAPI(student, reply, round) {
     const resp = await fetch("/api/explain", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ student, reply })
+      headers: sessionHeaders(),
+      body: JSON.stringify({ student, reply, session_id: sessionId, round })
     });
     const data = await resp.json();
     if (!resp.ok) throw new Error(data?.error || "Explain error");
     return data;
   }
 
+  // ===== "Help me argue" scaffolds =====
+  const coachPanel = document.getElementById("coachPanel");
+
+  function refreshHelp() {
+    if (!helpBtn) return;
+    const left = hints ? hints.remaining : 0;
+    helpBtn.textContent = hints ? t("button.help_left", { left }) : t("button.help");
+    helpBtn.disabled = !sessionId || finishedReady || waitingOnAI || !left;
+  }
+
+  function renderCoach(scaffold) {
+    if (!coachPanel) return;
+    const list = document.getElementById("coachStarters");
+    list.innerHTML = "";
+    scaffold.starters.forEach((starter) => {
+      const li = document.createElement("li");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn-secondary";
+      btn.textContent = starter;
+      btn.title = t("coach.add");
+      btn.addEventListener("click", () => {
+        const current = studentInput.value.trim();
+        studentInput.value = `${current ? `${current} ` : ""}${starter.replace(/\s*…\s*$/, " ")}`;
+        refreshCounter();
+        studentInput.focus();
+      });
+      li.appendChild(btn);
+      list.appendChild(li);
+    });
+    document.getElementById("coachQuestion").textContent = `🤔 ${scaffold.question}`;
+    document.getElementById("coachCounter").textContent = `🔄 ${scaffold.counter_example}`;
+    coachPanel.classList.remove("hidden");
+  }
+
+  async function askForHelp() {
+    if (!sessionId || waitingOnAI) return;
+    waitingOnAI = true;
+    refreshHelp();
+    try {
+      const resp = await fetch("/api/coach", {
+        method: "POST",
+        headers: sessionHeaders(),
+        body: JSON.stringify({ session_id: sessionId, draft: studentInput.value || "" })
+      });
+      const data = await resp.json();
+      if (data.hints) hints = data.hints;
+      if (!resp.ok) throw new Error(data?.error || "Help error");
+      renderCoach(data);
+    } catch (err) {
+      addMessage("AI", err.message || t("coach.error"));
+    } finally {
+      waitingOnAI = false;
+      refreshHelp();
+    }
+  }
+  helpBtn?.addEventListener("click", askForHelp);
+
+  // ===== Evidence library (vetted facts for the topic) =====
+  const MAX_CITATIONS = 2;   // same limit as the server
+  const evidencePanel = document.getElementById("evidencePanel");
+  const citedList = document.getElementById("citedList");
+
+  async function loadLibrary() {
+    if (!selectedTopicId || !evidenceBtn) return;
+    try {
+      const resp = await fetch(`/api/topics/${encodeURIComponent(selectedTopicId)}`);
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data?.error || "Topic error");
+      const mine = (e) => (e.side === settings.side ? 0 : e.side === "either" ? 1 : 2);
+      library = (data.topic.evidence || []).slice().sort((a, b) => mine(a) - mine(b));
+    } catch {
+      library = [];
+    }
+    evidenceBtn.classList.toggle("hidden", !library.length);
+    renderLibrary();
+  }
+
+  function renderLibrary() {
+    const list = document.getElementById("evidenceList");
+    if (!list) return;
+    list.innerHTML = "";
+    library.forEach((e) => {
+      const li = document.createElement("li");
+      const body = document.createElement("span");
+      const side = e.side === "either" ? "" : ` · ${t(e.side === settings.side ? "evidence.your_side" : "evidence.other_side")}`;
+      const source = document.createElement("span");
+      source.className = "evidence-source";
+      if (e.url) {
+        const a = document.createElement("a");
+        a.href = e.url;
+        a.target = "_blank";
+        a.rel = "noopener";
+        a.textContent = e.source;
+        source.append("— ", a, side);
+      } else {
+        source.textContent = `— ${e.source}${side}`;
+      }
+      body.append(e.text, source);
+
+      const attached = cited.some((c) => c.id === e.id);
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = attached ? "btn-primary" : "btn-secondary";
+      btn.textContent = attached ? t("evidence.attached") : t("evidence.attach");
+      btn.disabled = !attached && cited.length >= MAX_CITATIONS;
+      btn.addEventListener("click", () => {
+        cited = attached ? cited.filter((c) => c.id !== e.id) : [...cited, e];
+        renderLibrary();
+      });
+      li.append(body, btn);
+      list.appendChild(li);
+    });
+    if (citedList) {
+      citedList.textContent = cited.length ? t("evidence.citing", { list: cited.map((c) => c.source).join(" · ") }) : "";
+      citedList.classList.toggle("hidden", !cited.length);
+    }
+  }
+
+  evidenceBtn?.addEventListener("click", () => evidencePanel?.classList.toggle("hidden"));
+
   function outlineToText(outline, fallbackClaim) {
     const claim = outline?.extracted_claim || fallbackClaim || "";
     const steps = Array.isArray(outline?.steps) ? outline.steps.slice(0, 4) : [];
-    const strategy = outline?.strategy ? `\n\nStrategy: ${outline.strategy}` : "";
+    const strategy = outline?.strategy ? `\n\n${t("outline.strategy", { text: outline.strategy })}` : "";
     const bullets = steps.length
       ? steps.map((s) => `• ${s}`).join("\n")
-      : "• 🔍 Identify main idea\n• 🎯 Give one reason\n• 🧩 Add example\n• 🤝 Suggest compromise";
+      : t("outline.default");
     return `${claim ? `“${claim}”\n\n` : ""}${bullets}${strategy}`;
   }
 
@@ -312,25 +544,90 @@ document.addEventListener("DOMContentLoaded", () => {
     confirmTopicBtn.disabled = true;
   });
 
-  // Topic selection (re-highlight the chosen one)
-  topicButtons.forEach((btn) => {
-    btn.addEventListener("click", () => {
-      topicButtons.forEach((b) => b.classList.remove("selected"));
-      btn.classList.add("selected");
-      selectedTopic = btn.getAttribute("data-topic");
-      confirmTopicBtn.disabled = !selectedTopic;
+  // Topic buttons come from the catalog, or from the class assignment when
+  // the student joined with a code (re-highlight the chosen one)
+  async function loadTopics() {
+    try {
+      const resp = settings.classCode
+        ? await fetch("/api/join", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ code: settings.classCode, locale: window.i18n.locale })
+          })
+        : await fetch("/api/topics");
+      const data = await resp.json();
+      if (!resp.ok) throw new Error(data?.error || "Topics error");
+      renderTopics(data.assignment?.topics || data.topics || []);
+    } catch {
+      if (topicList) topicList.innerHTML = `<p class="muted">${t("topics.error")}</p>`;
+    }
+  }
+
+  function renderTopics(topics) {
+    if (!topicList) return;
+    topicList.innerHTML = "";
+    topics.forEach((topic) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "topic-btn";
+      btn.dataset.topicId = topic.id;
+      btn.textContent = topic.title;
+      if (topic.description) btn.title = topic.description;
+      btn.addEventListener("click", () => {
+        topicList.querySelectorAll(".topic-btn").forEach((b) => b.classList.remove("selected"));
+        btn.classList.add("selected");
+        selectedTopic = topic.title;
+        selectedTopicId = topic.id;
+        confirmTopicBtn.disabled = !selectedTopicId;
+      });
+      topicList.appendChild(btn);
     });
-  });
+  }
+  loadTopics();
 
   // After topic chosen, show side picker modal
   confirmTopicBtn.addEventListener("click", () => {
-    if (!selectedTopic) return;
-    const merged = { ...(settings || {}), topic: selectedTopic };
+    if (!selectedTopicId) return;
+    const merged = { ...(settings || {}), topic: selectedTopic, topic_id: selectedTopicId };
     localStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
     settings = merged;
     showSidePopup();
   });
 
+  // ===== Support popup (safety responses) =====
+  const supportPopup = document.createElement("div");
+  supportPopup.id = "supportPopup";
+  supportPopup.className = "popup hidden";
+  supportPopup.setAttribute("role", "dialog");
+  supportPopup.setAttribute("aria-modal", "true");
+  supportPopup.innerHTML = `
+    <div class="popup-content support-content">
+      <h2 style="margin:0 0 8px 0;" data-i18n="support.heading">💜 You matter</h2>
+      <p id="supportMessage" style="margin:0 0 12px 0;line-height:1.5"></p>
+      <ul id="supportResources" class="support-list"></ul>
+      <button id="supportClose" class="btn-primary" type="button" data-i18n="button.ok">OK</button>
+    </div>`;
+  window.i18n.apply(supportPopup);
+  document.body.appendChild(supportPopup);
+  supportPopup.querySelector("#supportClose").addEventListener("click", () => {
+    supportPopup.classList.add("hidden");
+    studentInput.focus();
+  });
+
+  function showSupportPopup(message, resources = []) {
+    supportPopup.querySelector("#supportMessage").textContent = message || "";
+    const list = supportPopup.querySelector("#supportResources");
+    list.innerHTML = "";
+    resources.forEach((r) => {
+      const li = document.createElement("li");
+      const name = document.createElement("strong");
+      name.textContent = r.name;
+      li.append(name, ` — ${r.contact}`);
+      list.appendChild(li);
+    });
+    supportPopup.classList.remove("hidden");
+  }
+
   function showResultPopup(hudObj) {
     if (!finishPopup) return;
     finishPopup.classList.remove("hidden");
@@ -343,29 +640,35 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (endedForViolation) {
       // 🚫 Special case: debate stopped for rule violation
-      title = "🚫 Debate Ended Early";
-      msg = violationReason ||
-        "The debate was stopped because the rules were broken or school-unsafe language was used.";
+      title = t("result.violation_title");
+      msg = violationReason || t("result.violation");
     } else {
       const winner = hudObj?.leader || "tied";
       if (winner === "student") {
-        title = "🎉 You Won!";
-        msg = "Excellent job! Your arguments were strong, clear, and persuasive.";
+        title = t("result.student_title");
+        msg = t("result.student");
       } else if (winner === "ai") {
-        title = "🤖 The AI Won This Time!";
-        msg = "Great effort! Your ideas were thoughtful. Keep practicing your reasoning!";
+        title = t("result.ai_title");
+        msg = t("result.ai");
       } else {
-        title = "🤝 It’s a Tie!";
-        msg = "Both sides made solid points and stayed on topic. Nice work!";
+        title = t("result.tied_title");
+        msg = t("result.tied");
       }
     }
 
     if (popupTitle) popupTitle.textContent = title;
     if (popupMsg)   popupMsg.textContent   = msg;
 
-    const anyBtn = finishPopup.querySelector("button");
+    // Full feedback report (transcript, charts, suggestions) in a new tab
+    const reportBtn = finishPopup.querySelector("#reportBtn");
+    if (reportBtn && sessionId) {
+      reportBtn.classList.remove("hidden");
+      reportBtn.onclick = () => window.open(`/report/${encodeURIComponent(sessionId)}?token=${encodeURIComponent(sessionToken)}`, "_blank");
+    }
+
+    const anyBtn = finishPopup.querySelector(".closePopup");
     if (anyBtn) {
-      anyBtn.textContent = "Back to Welcome";
+      anyBtn.textContent = t("popup.back_welcome");
       anyBtn.onclick = () => {
         localStorage.removeItem(SETTINGS_KEY);
         window.location.href = "/";
@@ -391,76 +694,92 @@ document.addEventListener("DOMContentLoaded", () => {
       showSidePopup();
       return;
     }
+    if (!sessionId) {
+      addMessage("AI", t("chat.no_session"));
+      return;
+    }
 
     // Word limit check
     const used = currentWordCount(text);
     if (used > behavior.maxWords) {
-      alert(
-        `Please keep your argument under ${behavior.maxWords} words for ${settings.difficulty || "Normal"}. You used ${used}.`
-      );
+      alert(t("alert.word_limit", { max: behavior.maxWords, level: t(`level.${currentDifficulty}`), used }));
       return;
     }
 
     // Thought clouds + robot glow (spark when thinking)
-    showBubble(studentThought, `Student: ${text}`);
-    showBubble(aiThought, "AI: Thinking…");
+    showBubble(studentThought, t("thought.student", { text }));
+    showBubble(aiThought, t("thought.thinking"));
     if (lightBulb) {
       lightBulb.classList.add("on", "spark");
       setTimeout(() => lightBulb.classList.remove("spark"), 700);
     }
 
-    addMessage(settings?.firstName || "Student", text);
+    addMessage(settings?.firstName || t("chat.student"), text);
+    if (cited.length) addNote(t("evidence.cited", { list: cited.map((c) => `“${c.text}” — ${c.source}`).join(" ") }));
     studentInput.value = "";
     refreshCounter();
+    safe(coachPanel, (el) => el.classList.add("hidden"));   // those hints were for this round
+    waitingOnAI = true;
+    refreshHelp();
 
     const t0 = now();
+    let streamed = null;
     try {
-      const data = await callDebateAPI(text);
+      const data = await callDebateStream(text, (delta) => {
+        if (!streamed) streamed = addStreamingMessage("AI");
+        streamed.append(delta);
+        showBubble(aiThought, t("thought.ai", { text: streamed.text }));
+      });
       const latency = Math.round(now() - t0);
 
+      // Possible self-harm disclosure: support, not discipline
+      if (data.support) {
+        showSupportPopup(data.message, data.resources);
+        addMessage("AI", data.message);
+        showBubble(aiThought, t("thought.support"));
+        await logTurn({ round: data.round ?? currentRound, latency_ms: latency });
+        return;
+      }
+
+      if (data.warning) addMessage("AI", data.warning);
       if (data.hint) addMessage("AI", data.hint);
 
       // Moderation (hard-ban only, but log as violation)
             if (data.violation) {
-        const msg = data.instructions || "Let's keep this discussion school-safe.";
+        const msg = data.instructions || t("chat.school_safe");
         addMessage("AI", msg);
-        showBubble(aiThought, `AI: ${msg}`);
-
-        await logTurn({
-          round: currentRound,
-          student_text: text,
-          ai_reply_text: msg,
-          hud_meter: data.hud?.meter ?? "",
-          hud_leader: data.hud?.leader ?? "",
-          latency_ms: latency,
-          status: "violation",
-          category: data.category || "sensitive"
-        });
+        showBubble(aiThought, t("thought.ai", { text: msg }));
+
+        await logTurn({ round: data.round ?? currentRound, latency_ms: latency });
 
         if (data.endDebate) {
           // 🔴 Mark that the debate ended because of a rule violation
+          // (the server has already closed the session as "ended_for_violation")
           endedForViolation = true;
           violationReason = msg;
 
-          // Send a special winner flag so your CSV/JSON shows why it ended
-          await finishSession(
-            { meter: lastHUD.meter ?? 50, leader: "ended_for_violation" }
-          );
-
           studentInput.disabled = true;
-          submitBtn.textContent = "Finish Debate";
+          submitBtn.textContent = t("button.finish");
           finishedReady = true;
         }
         return;
       }
 
 
-      // Normal reply
-      addMessage("AI", data.reply);
+      // Normal reply (already on screen if it was streamed)
+      if (streamed) streamed.set(data.reply);
+      else addMessage("AI", data.reply);
       if (data.hud) {
         updateHUD(data.hud.meter, data.hud.label);
         lastHUD = data.hud;
       }
+      if (data.hints) hints = data.hints;
+      renderRubric(data.rubric, data.round);
+
+      // The citations went with this argument; start fresh for the next one
+      cited = [];
+      renderLibrary();
+      safe(evidencePanel, (el) => el.classList.add("hidden"));
 
       const reasoning = makeLeadReasoning(currentRound, data.hud, data.stance, selectedTopic);
       showBubble(aiThought, reasoning);
@@ -473,43 +792,46 @@ document.addEventListener("DOMContentLoaded", () => {
         setTimeout(() => lightBulb.classList.remove("spark"), 600);
       }
 
-      // Explain panel
+      await logTurn({ round: data.round, latency_ms: latency });
+
+      if (data.difficulty_change) {
+        currentDifficulty = data.difficulty_change.to;
+        behavior.maxWords = data.difficulty_change.max_words || mapDifficultyToBehavior(currentDifficulty).maxWords;
+        addMessage("AI", data.difficulty_change.message);
+      }
+
+      // Explain panel (the server attaches the outline to this turn's log)
       try {
-        const outline = await callExplainAPI(text, data.reply);
+        const outline = await callExplainAPI(text, data.reply, data.round);
         showBubble(studentThought, outlineToText(outline, text));
       } catch {
         // ignore explain failure; main debate still works
       }
 
-      await logTurn({
-        round: currentRound,
-        student_text: text,
-        ai_reply_text: data.reply,
-        hud_meter: data.hud?.meter ?? "",
-        hud_leader: data.hud?.leader ?? "",
-        latency_ms: latency,
-        status: "ok",
-        category: ""
-      });
-
       if (data.endDebate) {
-        await finishSession(data.hud);
+        // The server closed the session and computed the final winner
+        if (data.summary?.winner_final) lastHUD = { ...lastHUD, leader: data.summary.winner_final };
         studentInput.disabled = true;
-        submitBtn.textContent = "Finish Debate";
+        submitBtn.textContent = t("button.finish");
         finishedReady = true;
       } else {
         currentRound = data.nextRound || currentRound + 1;
+        enterPhase(data.next_phase);
         updateRoundDisplay();
       }
     } catch (err) {
-      addMessage("AI", err.message || "Network error — please try again.");
-      showBubble(aiThought, "AI: (error) Please try again.");
+      streamed?.remove();
+      addMessage("AI", err.message || t("chat.network_error"));
+      showBubble(aiThought, t("thought.error"));
+    } finally {
+      waitingOnAI = false;
+      refreshHelp();
     }
   });
 
   updateRoundDisplay();
   addMessage(
     "AI",
-    `Welcome, ${settings.firstName} ${settings.lastInitial}. You chose ${settings.difficulty || "Normal"}.`
+    t("chat.welcome", { name: `${settings.firstName} ${settings.lastInitial}`, level: t(`level.${settings.difficulty || "Normal"}`) })
   );
 });
@@ -0,0 +1,41 @@
+// staff.js – shared by the teacher pages: who is logged in, log out, and a
+// trip back to /login when the login expires mid-class
+(() => {
+  const toLogin = () => location.replace(`/login?next=${encodeURIComponent(location.pathname + location.search)}`);
+
+  // Any API call answered 401 means the login is gone
+  const rawFetch = window.fetch.bind(window);
+  window.fetch = async (...args) => {
+    const resp = await rawFetch(...args);
+    if (resp.status === 401) toLogin();
+    return resp;
+  };
+
+  document.addEventListener("DOMContentLoaded", async () => {
+    const bar = document.getElementById("staffBar");
+    if (!bar) return;
+    const r = await fetch("/api/auth/me");
+    if (!r.ok) return;
+    const { user } = await r.json();
+
+    const link = (text, href) => {
+      const a = document.createElement("a");
+      a.className = "teacher-link";
+      a.href = href;
+      a.textContent = text;
+      return a;
+    };
+    const logout = link("Log out", "#");
+    logout.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await fetch("/api/auth/logout", { method: "POST" });
+      location.replace("/login");
+    });
+    bar.append(
+      `Logged in as ${user.username}${user.role === "admin" ? " (admin)" : ""} · `,
+      link(user.role === "admin" ? "Accounts" : "Password", "/teacher/users"),
+      " · ",
+      logout
+    );
+  });
+})();
@@ -0,0 +1,21 @@
+// scripts/import-sessions.js – copy data/sessions/*.json into the session database
+//
+//   npm run import-sessions [-- <dir>]
+//
+// The server does this automatically the first time it starts; run it again
+// to pick up files copied in later. Sessions already in the database are
+// skipped, and the original files are left untouched.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openSessionStore } from '../lib/store.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dir = path.resolve(process.argv[2] || path.join(root, 'data', 'sessions'));
+
+const store = openSessionStore(path.join(root, 'data', 'debate.db'));
+const { imported, skipped, failed } = store.importSessionFiles(dir);
+store.close();
+
+console.log(`📥 ${imported} imported, ${skipped} already in the database (${dir})`);
+failed.forEach(f => console.warn(`⚠️ ${f.file}: ${f.error}`));
+process.exitCode = failed.length ? 1 : 0;
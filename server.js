@@ -6,13 +6,43 @@ import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
-import profaneWords from 'profane-words';   // ⬅️ NEW: profanity wordlist
+import { createLLM } from './lib/llm.js';
+import { createTopicStore } from './lib/topics.js';
+import { scoreRelevance } from './lib/relevance.js';
+import { createModerator } from './lib/moderation.js';
+import { createAlertStore } from './lib/alerts.js';
+import { createClassStore, onRoster, rosterEntry, currentAssignment, ROUND_LIMITS } from './lib/classes.js';
+import { buildProgress, studentSessions } from './lib/progress.js';
+import {
+  RUBRIC_CRITERIA, scoreRubricOffline, normalizeRubric, creditCitations, meterFromRubric, rubricQuality, sideMeter, rubricTip, rubricCriteria
+} from './lib/rubric.js';
+import { buildReport } from './lib/report.js';
+import { createFormatCatalog, phaseFor, totalRounds, formatRounds, DEFAULT_FORMAT_ID } from './lib/formats.js';
+import { ADAPTIVE, isAdaptive, effectiveDifficulty, nextDifficulty, seedDifficulty } from './lib/adaptive.js';
+import { openSessionStore } from './lib/store.js';
+import { createRoomStore, ROOM_SIDES, TEAM_SIZE, otherSide } from './lib/rooms.js';
+import { hintLimit, hintsUsed, scaffoldKind, normalizeScaffold, fallbackScaffold } from './lib/coach.js';
+import { wordCount, readabilityGrade } from './lib/text.js';
+import {
+  DEFAULT_LOCALE, isLocale, localeOf, localeList, readabilityFormula, translator, uiStrings, languageInstruction
+} from './lib/i18n.js';
+import {
+  sessionTurnsCSV, toCSV, toJSONL, turnExportRows, sessionExportRow, createPseudonymizer,
+  TURN_EXPORT_COLUMNS, SESSION_EXPORT_COLUMNS
+} from './lib/exports.js';
+import {
+  createUserStore, createLoginStore, publicUser, verifyPassword, sessionToken, checkSessionToken, parseCookies
+} from './lib/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const publicDir = path.join(__dirname, 'public');
-const SESSION_DIR = path.join(__dirname, 'data', 'sessions');
+const DB_FILE = path.join(__dirname, 'data', 'debate.db');
+const LEGACY_SESSION_DIR = path.join(__dirname, 'data', 'sessions');   // old per-session JSON/CSV files
+const TOPICS_FILE = path.join(__dirname, 'data', 'topics.json');
+const ALERTS_FILE = path.join(__dirname, 'data', 'alerts.json');
+const CLASSES_FILE = path.join(__dirname, 'data', 'classes.json');
+const USERS_FILE = path.join(__dirname, 'data', 'users.json');
 
 // --- Helper to sanitize strings for filenames ---
 function safeName(str) {
@@ -24,7 +54,7 @@ function safeName(str) {
     .slice(0, 24) || "anon";
 }
 
-// --- Helper to build readable filenames ---
+// --- Helper to build readable session ids ---
 function makeSessionBase(student, settings) {
   const date = new Date().toISOString().slice(0, 10); // yyyy-mm-dd
   const name = safeName(`${student.first_name || "Anon"}${student.last_initial || ""}`);
@@ -42,15 +72,111 @@ function makeSessionBase(student, settings) {
   return `${gradeLabel}_${name}_${topic}_${date}`;
 }
 
-// Ensure session folder exists
-if (!fs.existsSync(SESSION_DIR)) fs.mkdirSync(SESSION_DIR, { recursive: true });
+// Sessions, turns and students live in SQLite (see lib/store.js). The first
+// run imports any data/sessions/*.json files left by older versions.
+const sessionStore = openSessionStore(DB_FILE);
+if (!sessionStore.getMeta('sessions_imported_ts')) {
+  const { imported, failed } = sessionStore.importSessionFiles(LEGACY_SESSION_DIR);
+  if (imported) console.log(`📥 Imported ${imported} session file(s) from data/sessions`);
+  failed.forEach(f => console.warn(`Could not import data/sessions/${f.file}: ${f.error}`));
+}
+
+// Topic catalog (seeded with the original five topics on first run)
+const topicStore = createTopicStore(TOPICS_FILE);
+// Safety alerts for teachers (self-harm disclosures)
+const alertStore = createAlertStore(ALERTS_FILE);
+
+/* -------------------------------- Accounts ------------------------------ */
+// Teachers and admins log in (see lib/auth.js); students never do. Their
+// browser gets a token for its own session from /api/session/start instead.
+const userStore = createUserStore(USERS_FILE);
+const loginStore = createLoginStore();
+const LOGIN_COOKIE = 'debate_login';
+
+// First run: an admin from ADMIN_USERNAME / ADMIN_PASSWORD, or with a generated
+// password printed once here.
+if (!userStore.list().length) {
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  const { error } = userStore.create({ username, password, role: 'admin' });
+  if (error) console.error(`Could not create the first admin account: ${error}`);
+  else if (!process.env.ADMIN_PASSWORD) console.log(`🔑 Created admin "${username}" with password ${password} (change it after logging in)`);
+}
+
+// Signs student session tokens. SESSION_SECRET overrides the one generated on
+// first use; changing it invalidates every open debate's token.
+function sessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  let secret = sessionStore.getMeta('session_secret');
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    sessionStore.setMeta('session_secret', secret);
+  }
+  return secret;
+}
 
-const sensitiveCounts = new Map();
 const app = express();
 app.use(cors());
 app.use(express.json());
 app.use(express.static(publicDir, { index: false }));
 
+// req.user is the logged-in teacher/admin, or null
+app.use((req, res, next) => {
+  const token = parseCookies(req.headers.cookie)[LOGIN_COOKIE];
+  const user_id = loginStore.get(token);
+  req.user = user_id ? userStore.get(user_id) : null;
+  req.loginToken = req.user ? token : null;
+  next();
+});
+
+// Teacher/admin API routes: 401 when logged out, 403 for the wrong role
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Please log in' });
+    if (!roles.includes(req.user.role)) return res.status(403).json({ error: 'You don’t have access to that' });
+    next();
+  };
+}
+const requireStaff = requireRole('teacher', 'admin');
+const requireAdmin = requireRole('admin');
+
+// Teacher pages send logged-out visitors to the login page and back
+function requireLoginPage(req, res, next) {
+  if (req.user) return next();
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+}
+
+// Student API routes: body.session_id must come with that session's token in
+// the X-Session-Token header.
+function requireSessionToken(req, res, next) {
+  const { session_id } = req.body || {};
+  if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
+  if (!checkSessionToken(sessionSecret(), session_id, req.get('X-Session-Token'))) {
+    return res.status(403).json({ error: 'This debate can only be continued from the browser that started it.' });
+  }
+  next();
+}
+
+// Admins see everything; teachers only the classes they created
+function ownsClass(user, cls) {
+  return Boolean(user && cls && (user.role === 'admin' || cls.owner_id === user.id));
+}
+
+// Sessions started without a class code have no owner, so only admins see
+// them; student-vs-student debates belong to the teacher who opened the room.
+function canSeeSession(user, session) {
+  if (user?.role === 'admin') return true;
+  if (user && session.settings.owner_id === user.id) return true;
+  const class_id = session.settings.class_id;
+  return Boolean(class_id && ownsClass(user, classStore.get(class_id)));
+}
+
+// Read-only session views (report, export): the student's token (?token=, as
+// these open in a new tab) or a teacher/admin who can see the session
+function canReadSession(req, session) {
+  return checkSessionToken(sessionSecret(), session.session_id, req.query.token) || canSeeSession(req.user, session);
+}
+
 app.get('/', (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   res.sendFile(path.join(publicDir, 'welcome.html'));
@@ -61,71 +187,103 @@ app.get('/debate', (req, res) => {
   res.sendFile(path.join(publicDir, 'index.html'));
 });
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Report page reads the id from its own URL and calls /api/report/:session_id
+app.get('/report/:session_id', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'report.html'));
+});
 
-/* -------------------------- Readability helpers -------------------------- */
-function countSyllables(word) {
-  word = (word || '').toLowerCase().replace(/e\b/, '');
-  const m = word.match(/[aeiouy]{1,2}/g);
-  return m ? m.length : 1;
-}
-function readabilityGrade(text) {
-  const words = (text || '').match(/\b[\w']+\b/g) || [];
-  const sentences = (text || '').split(/[.!?]/).filter(s => s.trim().length > 0);
-  const syllables = words.reduce((a, w) => a + countSyllables(w), 0);
-  if (words.length === 0 || sentences.length === 0) return 0;
-  const grade = 0.39 * (words.length / sentences.length)
-              + 11.8 * (syllables / words.length)
-              - 15.59;
-  return +grade.toFixed(2);
-}
+app.get('/login', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'login.html'));
+});
 
-/* ----------------------------- Session APIs ------------------------------ */
-app.post('/api/session/start', (req, res) => {
-  const { first_name, last_initial, grade, difficulty, topic, side } = req.body || {};
-  const baseName = makeSessionBase({ first_name, last_initial, grade }, { topic });
-  const randomTag = crypto.randomBytes(2).toString('hex');
-  const session_id = `${baseName}_${randomTag}`;
-  const start_ts = new Date().toISOString();
-  const base = path.join(SESSION_DIR, session_id);
+app.get('/teacher', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'teacher.html'));
+});
 
-  const sessionJson = {
-    session_id,
-    start_ts,
-    student: { first_name, last_initial, grade },
-    settings: { difficulty, topic, side }, // store student’s chosen side
-    turns: []
-  };
+app.get('/teacher/classes', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'classes.html'));
+});
 
-  fs.writeFileSync(`${base}.json`, JSON.stringify(sessionJson, null, 2));
-  fs.writeFileSync(
-    `${base}.csv`,
-    'round,student_text,ai_reply_text,student_word_count,readability_grade,hud_meter,hud_leader,latency_ms,status,category\n'
-  );
+app.get('/teacher/alerts', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'alerts.html'));
+});
 
-  res.json({ session_id, start_ts });
+app.get('/teacher/progress', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'progress.html'));
 });
 
-app.post('/api/session/logTurn', (req, res) => {
-  const {
-    session_id, round,
-    student_text, ai_reply_text,
-    hud_meter, hud_leader,
-    latency_ms,
-    status = "ok",
-    category = ""
-  } = req.body || {};
+app.get('/teacher/users', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'users.html'));
+});
 
-  if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
-  const base = path.join(SESSION_DIR, session_id);
-  const jsonPath = `${base}.json`;
-  if (!fs.existsSync(jsonPath)) return res.status(404).json({ error: 'Session not found' });
+app.get('/teacher/demo', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'demo.html'));
+});
+
+app.get('/teacher/rooms', requireLoginPage, (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'rooms.html'));
+});
+
+// Student-vs-student debate room; the page reads the code from ?code=
+app.get('/room', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(publicDir, 'room.html'));
+});
+
+// Provider picked by LLM_PROVIDER / LLM_MODEL / LLM_BASE_URL (see lib/llm.js)
+const llm = createLLM();
 
-  const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-  const wc = (student_text?.match(/\b[\w']+\b/g) || []).length;
-  const grade = readabilityGrade(student_text || '');
+// Pull the first {...} block out of a model reply and parse it (null if unusable)
+function parseJsonBlock(out = "") {
+  const s = out.indexOf("{"); const e = out.lastIndexOf("}");
+  if (s === -1 || e <= s) return null;
+  try {
+    return JSON.parse(out.slice(s, e + 1));
+  } catch {
+    return null;
+  }
+}
+
+/* ----------------------------- Session APIs ------------------------------ */
+
+// Load a session record by id (null if the id is malformed or unknown)
+function loadSession(session_id) {
+  if (!session_id || !/^[\w-]+$/.test(session_id)) return null;
+  return sessionStore.getSession(session_id);
+}
+// Stores new turns + session state in one transaction. The store refuses to
+// write over a session another request has finished since this copy was
+// loaded; that surfaces as a 409 error instead of silently reopening it.
+function saveSession(data) {
+  if (!sessionStore.saveSession(data)) throw finishedError(data);
+}
+function finishedError(data) {
+  const err = new Error(translator(localeOf(data))("error.finished"));
+  err.status = 409;
+  return err;
+}
+
+const MAX_ROUNDS = 5;
+const SIDES = ["pro", "con"];
+
+// Append a turn to the session; it is stored when the caller saves the session.
+function recordTurn(data, fields) {
+  const { round, student_text = "", ai_reply_text = "", hud_meter = null, hud_leader = null,
+          latency_ms = null, status = "ok", category = "" } = fields;
+  const wc = wordCount(student_text);
+  const grade = readabilityGrade(student_text, readabilityFormula(localeOf(data)));
 
   const turn = {
+    ...fields,
     round,
     student_text,
     ai_reply_text,
@@ -135,75 +293,185 @@ app.post('/api/session/logTurn', (req, res) => {
     hud_leader,
     latency_ms,
     status,
-    category
+    category,
+    effective_difficulty: effectiveDifficulty(data),
+    phase: phaseFor(sessionFormat(data), round).id
   };
   data.turns.push(turn);
-  fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
+  return turn;
+}
 
-  const esc = (s='') => s.replace(/"/g, '""');
-  const line =
-    `${round},"${esc(student_text)}","${esc(ai_reply_text)}",${wc},${grade},${hud_meter ?? ''},${hud_leader ?? ''},${latency_ms ?? ''},${status},${category}\n`;
-  fs.appendFileSync(`${base}.csv`, line);
+// Summary numbers from a session's own state; works on unfinished sessions too
+function sessionStats(data, winnerOverride = null) {
+  const hud = data.state.hud_history;
+  const last = hud.length ? hud[hud.length - 1] : null;
+  const hud_avg = hud.length ? Math.round(hud.reduce((a, h) => a + h.meter, 0) / hud.length) : null;
 
-  res.json({ ok: true });
-});
+  const okTurns = data.turns.filter(t => t.status === "ok");
+  const grades = okTurns.map(t => t.readability_grade).filter(n => typeof n === 'number');
+  const avgGrade = grades.length ? +(grades.reduce((a, b) => a + b, 0) / grades.length).toFixed(2) : 0;
 
-app.post('/api/session/finish', (req, res) => {
-  const { session_id, winner_final, violations_total = 0, hud_avg = null, hud_last = null } = req.body || {};
-  if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
+  // Average of each rubric criterion over the turns where it applied
+  const rubric_avg = {};
+  for (const { id } of RUBRIC_CRITERIA) {
+    const vals = okTurns.map(t => t.rubric?.[id]).filter(n => typeof n === 'number');
+    rubric_avg[id] = vals.length ? +(vals.reduce((a, b) => a + b, 0) / vals.length).toFixed(2) : null;
+  }
+
+  return {
+    rounds_played: okTurns.length,
+    winner_final: winnerOverride || last?.leader || "tied",
+    avg_hud_meter: hud_avg,
+    last_hud_meter: last?.meter ?? null,
+    violations_total: data.state.strikes?.total ?? 0,
+    hints_used: hintsUsed(data.turns),
+    evidence_cited: okTurns.reduce((n, t) => n + (t.evidence?.length || 0), 0),
+    readability_avg_grade: avgGrade,
+    rubric_avg
+  };
+}
 
-  const base = path.join(SESSION_DIR, session_id);
-  const jsonPath = `${base}.json`;
-  if (!fs.existsSync(jsonPath)) return res.status(404).json({ error: 'Session not found' });
+// Close out a session from its own state (idempotent). winnerOverride is used
+// when the server ends the debate early, e.g. "ended_for_violation".
+function finalizeSession(data, winnerOverride = null) {
+  if (data.state.finished) return data.summary;
 
-  const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  data.state.finished = true;
   data.end_ts = new Date().toISOString();
+  data.summary = sessionStats(data, winnerOverride);
+  return data.summary;
+}
 
-  const grades = data.turns.map(t => t.readability_grade).filter(n => typeof n === 'number');
-  const avgGrade = grades.length ? +(grades.reduce((a, b) => a + b, 0) / grades.length).toFixed(2) : 0;
+app.post('/api/session/start', (req, res) => {
+  const { first_name, last_initial, grade, difficulty, topic_id, side, locale = DEFAULT_LOCALE } = req.body || {};
+  // The language comes first so the rest of the errors can be in it
+  if (!isLocale(locale)) return res.status(400).json({ error: translator(DEFAULT_LOCALE)("error.unknown_language") });
+  const t = translator(locale);
+  if (!WORD_LIMITS[difficulty] && difficulty !== ADAPTIVE) return res.status(400).json({ error: t("error.unknown_difficulty") });
+  if (!SIDES.includes(side)) return res.status(400).json({ error: t("error.unknown_side") });
+
+  // Older clients send the topic title instead of its id
+  const record = topic_id ? topicStore.get(topic_id) : topicStore.findByTitle(req.body?.topic);
+  if (!record || !record.enabled) return res.status(400).json({ error: t("error.unknown_topic") });
+  const topic = record.title;
+
+  // Students who joined with a class code are held to that class's assignment
+  let classSettings = { max_rounds: MAX_ROUNDS };
+  if (req.body?.class_code) {
+    const check = checkAssignment(req.body.class_code, { first_name, last_initial }, { difficulty, topic_id: record.id }, locale);
+    if (check.error) return res.status(check.status).json({ error: check.error });
+    classSettings = check.settings;
+  }
 
-  data.summary = {
-    rounds_played: data.turns.length,
-    winner_final,
-    avg_hud_meter: hud_avg,
-    last_hud_meter: hud_last,
-    violations_total,
-    readability_avg_grade: avgGrade
+  const baseName = makeSessionBase({ first_name, last_initial, grade }, { topic });
+  const randomTag = crypto.randomBytes(2).toString('hex');
+  const session_id = `${baseName}_${randomTag}`;
+  const start_ts = new Date().toISOString();
+
+  // settings + state are owned by the server from here on; /api/debate never
+  // reads round, side, difficulty or topic from the client.
+  // The format's phases are copied onto the session; its rounds decide max_rounds
+  const format = formatCatalog.snapshot(classSettings.format_id || DEFAULT_FORMAT_ID, classSettings.max_rounds);
+  const sessionJson = {
+    session_id,
+    start_ts,
+    student: { first_name, last_initial, grade },
+    settings: { difficulty, topic, topic_id: record.id, side, locale, ...classSettings, format, max_rounds: totalRounds(format) }, // store student’s chosen side
+    state: { round: 1, finished: false, hud_history: [], strikes: { active: 0, total: 0, clean_streak: 0 } },
+    turns: []
   };
+  // Adaptive sessions pick up where the student's last adaptive debate ended
+  // (their roster entry's debates when they joined with a class code)
+  if (isAdaptive(sessionJson.settings)) {
+    const { class_id = null, roster_id = null } = sessionJson.settings;
+    sessionJson.state.difficulty = seedDifficulty(sessionStore.recentSessions({ ...sessionJson.student, class_id, roster_id }));
+  }
 
-  fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
-  fs.appendFileSync(
-    `${base}.csv`,
-    `\nSummary,,,,avg_readability,avg_hud,last_hud,winner\n,,,,${avgGrade},${hud_avg ?? ''},${hud_last ?? ''},${winner_final || ''}\n`
-  );
+  sessionStore.createSession(sessionJson);
+
+  // The browser sends session_token back (X-Session-Token) on every later call
+  res.json({
+    session_id,
+    session_token: sessionToken(sessionSecret(), session_id),
+    start_ts,
+    settings: sessionJson.settings,
+    difficulty: effectiveDifficulty(sessionJson),
+    phase: phaseInfo(sessionJson, 1),
+    hints: hintStatus(sessionJson),
+    round: 1
+  });
+});
+
+// Turns are recorded by /api/debate itself. The client may still report the
+// latency it observed; nothing else it sends is stored.
+app.post('/api/session/logTurn', requireSessionToken, (req, res) => {
+  const { session_id, round, latency_ms } = req.body || {};
 
+  if (!loadSession(session_id)) return res.status(404).json({ error: 'Session not found' });
+
+  const patch = Number.isFinite(latency_ms) ? { client_latency_ms: Math.round(latency_ms) } : {};
+  const turn = sessionStore.updateTurn(session_id, round, patch);
+  if (!turn) return res.status(404).json({ error: 'Turn not found' });
   res.json({ ok: true });
 });
 
+app.post('/api/session/finish', requireSessionToken, (req, res) => {
+  const { session_id } = req.body || {};
+
+  const data = loadSession(session_id);
+  if (!data) return res.status(404).json({ error: 'Session not found' });
+  if (data.state.finished) return res.json({ ok: true, summary: data.summary });
+  // Let the turn being answered land first; it would otherwise be thrown away
+  if (turnsInFlight.has(session_id)) return res.status(409).json({ error: translator(localeOf(data))("error.in_flight") });
+
+  const summary = finalizeSession(data);
+  saveSession(data);
+
+  res.json({ ok: true, summary });
+});
+
+// The store is the record; CSV (turn rows) and JSON are exported on request
+app.get('/api/session/:session_id/export', (req, res) => {
+  const data = loadSession(req.params.session_id);
+  if (!data) return res.status(404).json({ error: 'Session not found' });
+  if (!canReadSession(req, data)) return res.status(403).json({ error: 'You don’t have access to that session' });
+
+  const { turns, ...rest } = data;
+  const cleanTurns = turns.map(({ seq, ...t }) => t);
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${data.session_id}.csv"`);
+    return res.send(sessionTurnsCSV({ ...rest, turns: cleanTurns }));
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${data.session_id}.json"`);
+  res.json({ ...rest, turns: cleanTurns });
+});
+
 /* --------------------------- Soft on-topic helpers ----------------------- */
-const TOPIC_KEYWORDS = {
-  "Video games can help learning": [
-    "video game","gaming","game","learn","learning","educational","practice","skills",
-    "strategy","puzzle","problem solving","memory","hand eye coordination","minecraft","fortnite","roblox"
-  ],
-  "Homework should be optional": [
-    "homework","assignment","study","after school","optional","practice","workload","busywork",
-    "stress","stressed","tired","drained","overwhelmed","relax","free time","time at home","worksheet","due"
-  ],
-  "School should start later": [
-    "start time","start later","sleep","tired","morning","bell schedule","wake up","too early","rest","fatigue","bus schedule"
-  ],
-  "School uniforms are a good idea": [
-    "uniform","dress code","clothes","bullying","equal","equality","cost","same outfit","appearance","brand","fashion","fairness"
-  ],
-  "Zoos are helpful for animals": [
-    "zoo","animal","habitat","conservation","rescue","species","extinct","breeding","sanctuary","care","keepers","protection"
-  ]
-};
-function keywordMatch(topic, text) {
-  const list = TOPIC_KEYWORDS[topic] || [];
-  const lower = (text || '').toLowerCase();
-  return list.some(k => lower.includes(k));
+// Catalog record for a session's topic (by id, or by title for older sessions)
+function sessionTopic(session) {
+  const { topic_id, topic } = session.settings;
+  return (topic_id && topicStore.get(topic_id)) || topicStore.findByTitle(topic);
+}
+
+// Graded nudge from the relevance level (lib/relevance.js); never blocks
+function relevanceHint(relevance, topic, studentSide) {
+  if (!relevance || !topic) return "";
+  const title = topic.title;
+  switch (relevance.level) {
+    case "related":
+      return `Good start — now connect it back to “${title}” in one sentence.`;
+    case "drifting": {
+      const ideas = topic.keywords.slice(0, 2).map(k => `“${k}”`).join(" or ");
+      return `This is drifting from “${title}”. How does your point connect to it?${ideas ? ` You could talk about ${ideas}.` : ""}`;
+    }
+    case "off_topic": {
+      const point = topic.talking_points?.[studentSide]?.[0];
+      return `Let’s get back to “${title}”.${point ? ` One idea for your side: ${point}.` : ""}`;
+    }
+    default:
+      return "";
+  }
 }
 
 /* ------------------- Word-limit & minimal moderation -------------------- */
@@ -214,151 +482,473 @@ const WORD_LIMITS = {
   Hard: 130,
   Extreme: 200,
 };
-function wordCount(s = "") {
-  return (s.match(/\b[\w']+\b/g) || []).length;
+
+/* ---------------------------- Debate formats ----------------------------- */
+// Phases (opening, rebuttal, closing…) live in lib/formats.js; FORMATS_CONFIG
+// may point at a JSON file adding or replacing formats.
+const formatCatalog = createFormatCatalog(loadJsonConfig('FORMATS_CONFIG'));
+
+// Sessions started before formats existed are "classic" over their max_rounds
+function sessionFormat(session) {
+  return session.settings.format || formatCatalog.snapshot(DEFAULT_FORMAT_ID, session.settings.max_rounds || MAX_ROUNDS);
 }
 
-/* ------------------- Profanity list integration ------------------------- */
+// Word limit for a round: the phase's own, else the difficulty's
+function wordLimit(session, round) {
+  return phaseFor(sessionFormat(session), round).max_words
+    || WORD_LIMITS[effectiveDifficulty(session)] || WORD_LIMITS.Normal;
+}
 
-// Build a Set from the profane-words package for fast lookup
-const RAW_PROFANE = Array.isArray(profaneWords)
-  ? profaneWords
-  : (Array.isArray(profaneWords?.default) ? profaneWords.default : []);
+// What the client shows for a round: "Round 2 of 5 · Cross-examination".
+// Built-in phases are shown in the session's language; custom text stays as written.
+function phaseInfo(session, round) {
+  const format = sessionFormat(session);
+  const phase = phaseFor(format, round);
+  const t = translator(localeOf(session));
+  const promptKey = `prompt.${format.id}.${phase.id}`;
+  return {
+    id: phase.id,
+    name: t.raw(`phase.${phase.id}`) ? t(`phase.${phase.id}`) : phase.name,
+    round_in_phase: phase.round_in_phase,
+    rounds: phase.rounds,
+    first: phase.first,
+    student_prompt: phase.student_prompt && t.raw(promptKey) ? t(promptKey) : phase.student_prompt,
+    max_words: wordLimit(session, round)
+  };
+}
 
-const PROFANE_SET = new Set(
-  RAW_PROFANE.map(w => w.toLowerCase())
-);
+// Phase name for a turn; null for one-phase formats like "classic"
+function phaseName(session, id) {
+  const { phases } = sessionFormat(session);
+  return id && phases.length > 1 ? phases.find(p => p.id === id)?.name || id : null;
+}
 
-// Helper: check if a message contains any profane word from the list
-function containsProfanity(message = "") {
-  const lower = message.toLowerCase();
-  const tokens = lower.match(/\b[\w']+\b/g) || [];
-  return tokens.some(t => PROFANE_SET.has(t));
+/* ------------------------------ Moderation ------------------------------ */
+// Tiers, allow-list and obfuscation handling live in lib/moderation.js.
+// MODERATION_CONFIG may point at a JSON file overriding DEFAULT_MODERATION.
+function loadJsonConfig(envName) {
+  const file = process.env[envName];
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
 }
+const moderator = createModerator(loadJsonConfig('MODERATION_CONFIG'));
 
-// VERY strong content: explicit sexual + self-harm
-const HARD_BAN = /\b(rape|porn|pornography|xxx|onlyfans|nude|naked|sexual\s+act|suicide|kill yourself|self[-\s]?harm)\b/i;
+// What the student sees when a turn is blocked, by category (in their language)
+function blockMessage(t, category, strikes) {
+  const message = t.raw(`block.${category}`) ? t(`block.${category}`) : t("block.default");
+  return t("block.warning", { message, ...strikes });
+}
 
-// Strong language, slurs, explicit solo sexual acts, etc.
-const LANGUAGE_BAN = /\b(fuck(?:ing|er|s)?|shit(?:ty)?|bitch(?:es)?|asshole|bastards?|dick(?:head)?|pussy|masturbat(?:e|ing|ion)|jerk(?:ing)?\s*off|cocksucker|whore|slut|nigga|nigger|beaner|faggot|fag|faggetry|ass)\b/i;
+// Shown instead of a scolding when a student may be talking about hurting
+// themselves. SAFETY_CONFIG may point at a JSON file with { message, resources }
+// to match your school's counselors and local hotlines, plus
+// locales: { es: { message, resources } } for other languages.
+const SAFETY = loadJsonConfig('SAFETY_CONFIG');
+function supportFor(locale) {
+  const t = translator(locale);
+  const own = SAFETY.locales?.[locale] || {};
+  return {
+    message: own.message || (locale === DEFAULT_LOCALE && SAFETY.message) || t("support.message"),
+    resources: own.resources || SAFETY.resources || t.raw("support.resources")
+  };
+}
 
+const moderationLog = m => (m.flagged ? { action: m.action, tier: m.tier, category: m.category, term: m.term } : null);
+
+/* ---------------------------- Strike policy ------------------------------ */
+// Strikes live on the session (state.strikes), so they survive restarts and
+// two students with the same name never share a count.
+//   STRIKE_THRESHOLD       active strikes that end the debate        (default 3)
+//   STRIKE_DECAY_CLEAN     clean turns that remove one active strike (default 0 = never)
+//   STRIKE_RESET_ON_CLEAN  "true" → any clean turn clears active strikes (old behavior)
+const STRIKE_POLICY = {
+  threshold: Number(process.env.STRIKE_THRESHOLD) || 3,
+  decayAfterClean: Number(process.env.STRIKE_DECAY_CLEAN) || 0,
+  resetOnClean: process.env.STRIKE_RESET_ON_CLEAN === "true"
+};
 
-/* ------------------------------ Debate API ------------------------------- */
+// Student-vs-student rooms count each side's strikes separately
+// (state.side_strikes); state.strikes.total still counts the whole debate.
+function strikeState(session, side = null) {
+  session.state.strikes ||= { active: 0, total: 0, clean_streak: 0 };
+  if (!side) return session.state.strikes;
+  session.state.side_strikes ||= {};
+  session.state.side_strikes[side] ||= { active: 0, total: 0, clean_streak: 0 };
+  return session.state.side_strikes[side];
+}
+
+// Returns true when this strike reaches the threshold
+function addStrike(session, policy = STRIKE_POLICY, side = null) {
+  const st = strikeState(session, side);
+  st.active += 1;
+  st.total += 1;
+  st.clean_streak = 0;
+  if (side) strikeState(session).total += 1;
+  return st.active >= policy.threshold;
+}
+
+function recordCleanTurn(session, policy = STRIKE_POLICY, side = null) {
+  const st = strikeState(session, side);
+  if (!st.active) return;
+  if (policy.resetOnClean) {
+    st.active = 0;
+    st.clean_streak = 0;
+    return;
+  }
+  if (!policy.decayAfterClean) return;
+  st.clean_streak += 1;
+  if (st.clean_streak >= policy.decayAfterClean) {
+    st.active -= 1;
+    st.clean_streak = 0;
+  }
+}
+
+/* ----------------------------- Debate memory ----------------------------- */
+// The last few turns go into the prompt word-for-word; older ones are folded
+// into a running summary stored on the session (data.memory) so it is only
+// recomputed when a new turn falls out of the recent window.
+const MEMORY = {
+  recentTurns: 2,      // turns quoted in full
+  turnChars: 400,      // per-side cap when quoting a turn
+  summaryChars: 700    // cap on the rolling summary
+};
 
-app.post('/api/debate', async (req, res) => {
+function clip(s = "", max) {
+  const t = (s || "").replace(/\s+/g, " ").trim();
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+function historyTurns(data) {
+  return (data?.turns || []).filter(t => t.status === "ok" && t.student_text);
+}
+
+// Offline summary: first sentence of each side per round
+function condenseTurns(turns) {
+  const first = s => clip((s || "").split(/(?<=[.!?])\s/)[0], 140);
+  return turns
+    .map(t => `R${t.round}: student argued "${first(t.student_text)}"; you answered "${first(t.ai_reply_text)}".`)
+    .join(" ");
+}
+
+async function summarizeTurns(prevSummary, turns, locale = DEFAULT_LOCALE) {
+  const transcript = turns
+    .map(t => `Round ${t.round}\nStudent: ${clip(t.student_text, MEMORY.turnChars)}\nAI: ${clip(t.ai_reply_text, MEMORY.turnChars)}`)
+    .join("\n\n");
+  const prompt = `
+Summarize this school debate so far for the AI debater's memory.
+List each side's main points and any points the AI already conceded.
+Plain text, under 100 words, no greetings.
+
+Earlier summary: ${prevSummary || "(none)"}
+
+New rounds:
+${transcript}`;
   try {
-    const {
-      message,
-      difficulty = "Normal",
-      round = 1,
-      topic = null,
-      studentSide = null,         // student's chosen side ('pro' or 'con')
-      studentInfo = {}
-    } = req.body;
-
-    if (!message) return res.status(400).json({ error: 'Missing message' });
-
-    const studentKey = `${studentInfo.firstName || "unknown"}_${studentInfo.lastInitial || ""}`;
-    const wc = wordCount(message || "");   // ✅ use word count for short-answer penalty
-
-    // 1) Manual filtering: very strong content vs strong language
-    let violationType = null;
-
-    if (HARD_BAN.test(message)) {
-      violationType = "hard";
-    } else if (LANGUAGE_BAN.test(message)) {
-      violationType = "language";
-    }
+    const out = await llm.complete({ task: "summary", input: prompt, context: { prevSummary, turns, locale } });
+    if (out) return clip(out, MEMORY.summaryChars);
+  } catch (err) {
+    console.error(err);
+  }
+  return clip([prevSummary, condenseTurns(turns)].filter(Boolean).join(" "), MEMORY.summaryChars);
+}
+
+// Build the "debate so far" block for the prompt; updates data.memory in place
+// and returns { text, changed } so the caller knows whether to save.
+async function buildDebateHistory(data) {
+  const turns = historyTurns(data);
+  if (!turns.length) return { text: "", changed: false };
+
+  const older  = turns.slice(0, -MEMORY.recentTurns);
+  const recent = turns.slice(-MEMORY.recentTurns);
+
+  const memory = data.memory || { summary: "", through_round: 0 };
+  const unsummarized = older.filter(t => t.round > memory.through_round);
+  let changed = false;
+  if (unsummarized.length) {
+    memory.summary = await summarizeTurns(memory.summary, unsummarized, localeOf(data));
+    memory.through_round = unsummarized[unsummarized.length - 1].round;
+    data.memory = memory;
+    changed = true;
+  }
 
-    if (violationType) {
-      const current = sensitiveCounts.get(studentKey) || 0;
-      const next = current + 1;
-      sensitiveCounts.set(studentKey, next);
+  const lines = [];
+  if (older.length && memory.summary) lines.push(`Summary of earlier rounds: ${memory.summary}`);
+  recent.forEach(t => {
+    lines.push(`Round ${t.round} — Student: "${clip(t.student_text, MEMORY.turnChars)}"`);
+    lines.push(`Round ${t.round} — You: "${clip(t.ai_reply_text, MEMORY.turnChars)}"`);
+  });
+  return { text: lines.join("\n"), changed };
+}
 
-      const isHard = violationType === "hard";
+/* ------------------------------ Debate API ------------------------------- */
 
-      const firstMsg = isHard
-        ? "Please avoid graphic self-harm or explicit sexual content. Let's keep this school-safe."
-        : "Please avoid strong curse words or slurs. Let's keep the debate respectful and school-safe.";
+// Sessions with a debate turn (or a "Help me argue" hint) still waiting on the model
+const turnsInFlight = new Set();
+
+// Validate a debate request against the session it names.
+// Returns { session } or { status, error } for the route to send back.
+function checkDebateRequest(body) {
+  const { message, session_id = null, round: claimedRound = null } = body || {};
+  if (!session_id) return { status: 400, error: 'Missing session_id' };
+  if (!message) return { status: 400, error: 'Missing message' };
+
+  const session = loadSession(session_id);
+  if (!session) return { status: 404, error: 'Session not found' };
+  const t = translator(localeOf(session));
+  if (session.state.finished) return { status: 409, error: t("error.finished") };
+  if (turnsInFlight.has(session_id)) return { status: 409, error: t("error.in_flight") };
+
+  // Everything about the debate comes from the session, never the request
+  const round = session.state.round;
+  if (claimedRound !== null && claimedRound !== round) {
+    return { status: 409, error: t("error.out_of_order", { round }), round };
+  }
 
-      const stopMsg = "We have to stop the debate now to keep things school-appropriate.";
+  const maxWords = wordLimit(session, round);
+  if (wordCount(message) > maxWords) {
+    return { status: 400, error: t("error.too_long", { max: maxWords }) };
+  }
 
-      if (next >= 3) {
-        return res.json({
-          violation: true,
-          category: "sensitive",
-          endDebate: true,
-          allowRetry: false,
-          instructions: stopMsg
-        });
-      }
+  const cited = citedEvidence(session, body.evidence_ids);
+  if (cited.error) return { status: 400, error: cited.error };
+  return { session, evidence: cited.evidence };
+}
 
-      return res.json({
-        violation: true,
-        category: "sensitive",
-        allowRetry: true,
-        instructions: firstMsg
-      });
-    } else {
-      // If previous violations exist but message is now clean, reset count
-      if (sensitiveCounts.get(studentKey)) sensitiveCounts.set(studentKey, 0);
-    }
+// Evidence a turn cites from its topic's library (lib/topics.js), copied onto
+// the turn so later edits to the library don't change the log.
+// Returns { evidence } or { error }.
+const MAX_CITATIONS = 2;
+function citedEvidence(session, ids) {
+  if (ids === undefined || ids === null) return { evidence: [] };
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== "string")) return { error: "evidence_ids must be a list of evidence ids" };
+  const wanted = [...new Set(ids)];
+  const t = translator(localeOf(session));
+  if (wanted.length > MAX_CITATIONS) return { error: t("error.too_many_citations", { max: MAX_CITATIONS }) };
+
+  const library = sessionTopic(session)?.evidence || [];
+  const evidence = [];
+  for (const id of wanted) {
+    const e = library.find(x => x.id === id);
+    if (!e) return { error: t("error.unknown_evidence") };
+    evidence.push({ id: e.id, text: e.text, source: e.source, url: e.url || "", side: e.side });
+  }
+  return { evidence };
+}
 
-    // 2) VERY soft on-topic nudge (never blocks)
-    let hint = "";
-    if (topic && !keywordMatch(topic, message)) {
-      hint = `Let’s try to mention the topic “${topic}” directly or a related idea.`;
+// Incrementally pull the "reply" string out of a streamed JSON answer.
+// push(chunk) returns whatever new reply text the chunk completed.
+function replyExtractor() {
+  let buf = "";
+  let pos = -1;        // index just past the opening quote once found
+  let done = false;
+  const ESC = { n: "\n", t: "\t", r: "", '"': '"', "\\": "\\", "/": "/", b: "", f: "" };
+
+  return function push(chunk) {
+    buf += chunk;
+    if (done) return "";
+    if (pos === -1) {
+      const m = /"reply"\s*:\s*"/.exec(buf);
+      if (!m) return "";
+      pos = m.index + m[0].length;
+    }
+    let text = "";
+    while (pos < buf.length) {
+      const ch = buf[pos];
+      if (ch === '"') { done = true; break; }
+      if (ch !== "\\") { text += ch; pos++; continue; }
+      // Escape sequence: wait for the rest of it to arrive
+      const next = buf[pos + 1];
+      if (next === undefined) break;
+      if (next === "u") {
+        const hex = buf.slice(pos + 2, pos + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+      } else {
+        text += ESC[next] ?? next;
+        pos += 2;
+      }
     }
+    return text;
+  };
+}
 
-    // 3) Difficulty profiles with “pivot” guidance (less full concession as difficulty rises)
-    const profiles = {
-      Beginner: {
-        style: `
+// Difficulty profiles with “pivot” guidance (less full concession as difficulty rises).
+// `tone` is how deep and how plainly to argue, and is shared with the PRO persona
+// in AI-vs-AI demo debates; `counter` is the AI opponent's role and how it
+// answers the student.
+const DEBATE_PROFILES = {
+  Beginner: {
+    counter: `
 You are a friendly teacher.
-Give ONE short kind counterpoint with simple words.
+Answer with a short, kind counterpoint.
 Freely agree when the student is reasonable; praise effort.
 Keep your reply under 70 words.`,
-        bias: 0.18   // student-favoring base
-      },
-      Intermediate: {
-        style: `
+    tone: `Make ONE point in simple words, with an everyday example.`
+  },
+  Intermediate: {
+    counter: `
 You are a polite coach.
-Acknowledge strong points briefly, then add ONE gentle counterpoint or limitation.
+Acknowledge strong points briefly, then add a gentle counterpoint or limitation.
 Avoid full concession; try a new angle.
 Keep your reply under 90 words.`,
-        bias: 0.40   // slight student tilt
-      },
-      Normal: {
-        style: `
+    tone: `Make ONE point and explain it with a clear example.`
+  },
+  Normal: {
+    counter: `
 You are a balanced peer.
 If you agree, keep it brief, then pivot to a new angle to stay balanced.
-Provide ONE clear counterpoint politely. Max 100 words.`,
-        bias: 0.48   // near neutral
-      },
-      Hard: {
-        style: `
+Give your counterpoint politely. Max 100 words.`,
+    tone: `Make ONE well-explained point with a concrete example.`
+  },
+  Hard: {
+    counter: `
 You are a logical debater.
-Briefly acknowledge, then present TWO counters or caveats from different angles.
+Briefly acknowledge, then present counters or caveats.
 Max 110 words.`,
-        bias: 0.65
-      },
-      Extreme: {
-        style: `
+    tone: `Make TWO points from different angles, each backed by an example or fact.`
+  },
+  Extreme: {
+    counter: `
 You are an expert debater.
-Avoid full agreement: acknowledge crisply, then pivot with multiple well-reasoned counters.
+Avoid full agreement: acknowledge crisply, then pivot with well-reasoned counters.
 Max 120 words.`,
-        bias: 0.70
-      }
+    tone: `Build a tight case: several linked points, precise examples, and why they matter most.`
+  }
+};
+
+// HUD caption for a meter reading. `names` relabels the two sides
+// (demos show "PRO"/"CON" instead of "Student"/"AI").
+function meterLabel(meter, leader, t = translator(), names = {}) {
+  const lead = { student: names.student || t("meter.student"), ai: names.ai || t("meter.ai") }[leader];
+  return leader === "ai"
+    ? t(meter >= 80 ? "meter.far" : meter >= 65 ? "meter.clear" : "meter.slight", { leader: lead })
+    : leader === "student"
+      ? t(meter <= 20 ? "meter.far" : meter <= 35 ? "meter.clear" : "meter.slight", { leader: lead })
+      : t("meter.tied");
+}
+
+// One debate turn: moderation, prompt, model, scoring and logging.
+// Returns the JSON the client gets. With onDelta, the model is streamed and
+// onDelta(text) is called with each new piece of the reply as it arrives.
+// `evidence` is what the student cited from the library (see citedEvidence).
+async function runDebateTurn(session, message, onDelta = null, evidence = []) {
+  const round = session.state.round;
+  const { topic = null, side: studentSide = null } = session.settings;
+  const difficulty = effectiveDifficulty(session) || "Normal";
+  const phase = phaseFor(sessionFormat(session), round);
+  const locale = localeOf(session);
+  const t = translator(locale);
+  const t0 = Date.now();
+
+  // 1) Moderation pipeline: "block" tiers stop the turn, "warn" tiers go through with a reminder
+  const mod = moderator.check(message, { locale });
+
+  // Possible self-harm: show support, alert a teacher, no strike, round not used up
+  if (mod.action === "support") {
+    const alert = alertStore.create({
+      category: mod.category,
+      term: mod.term,
+      session_id: session.session_id,
+      round,
+      student: session.student,
+      excerpt: message
+    });
+    console.warn(`⚠️ Safety alert ${alert.id} raised in ${session.session_id} (round ${round})`);
+
+    const support = supportFor(locale);
+    recordTurn(session, {
+      round,
+      student_text: message,
+      ai_reply_text: support.message,
+      status: "support",
+      category: mod.category,
+      moderation: moderationLog(mod),
+      alert_id: alert.id
+    });
+    saveSession(session);
+
+    return {
+      support: true,
+      category: mod.category,
+      message: support.message,
+      resources: support.resources,
+      round
     };
-    const profile = profiles[difficulty] || profiles.Normal;
+  }
+
+  if (mod.action === "block") {
+    const endDebate = addStrike(session);
+    const strikes = { active: strikeState(session).active, threshold: STRIKE_POLICY.threshold };
+
+    const firstMsg = blockMessage(t, mod.category, strikes);
+
+    const stopMsg = t("block.stop");
 
-    // Make sure the AI argues the opposite of the student's chosen side
-    let aiSide = "neutral";
-    if (studentSide === "pro") aiSide = "con";
-    else if (studentSide === "con") aiSide = "pro";
+    const instructions = endDebate ? stopMsg : firstMsg;
 
-    // 4) Prompt (ask model for concession + student_strength too)
-    const politeRules = `
+    // Violations are logged but don't use up a round
+    recordTurn(session, {
+      round,
+      student_text: message,
+      ai_reply_text: instructions,
+      status: "violation",
+      category: mod.category,
+      moderation: moderationLog(mod)
+    });
+    if (endDebate) finalizeSession(session, "ended_for_violation");
+    saveSession(session);
+
+    if (endDebate) {
+      return {
+        violation: true,
+        category: mod.category,
+        tier: mod.tier,
+        endDebate: true,
+        allowRetry: false,
+        instructions,
+        round,
+        strikes,
+        summary: session.summary
+      };
+    }
+
+    return {
+      violation: true,
+      category: mod.category,
+      tier: mod.tier,
+      allowRetry: true,
+      instructions,
+      round,
+      strikes
+    };
+  }
+  // "warn" and clean turns count toward strike decay per STRIKE_POLICY
+  recordCleanTurn(session);
+
+  // 2) Soft on-topic scoring + graded nudge (never blocks). lib/relevance.js
+  // only knows English words, so other languages get no nudge.
+  const topicRecord = sessionTopic(session);
+  const priorTexts = historyTurns(session).slice(-3).flatMap(t => [t.student_text, t.ai_reply_text]);
+  const relevance = topicRecord && locale === DEFAULT_LOCALE ? scoreRelevance(message, topicRecord, priorTexts) : null;
+  const hint = relevanceHint(relevance, topicRecord, studentSide);
+
+  // 3) Difficulty profile (see DEBATE_PROFILES)
+  const profile = DEBATE_PROFILES[difficulty] || DEBATE_PROFILES.Normal;
+
+  // Make sure the AI argues the opposite of the student's chosen side
+  let aiSide = "neutral";
+  if (studentSide === "pro") aiSide = "con";
+  else if (studentSide === "con") aiSide = "pro";
+
+  // Topic details from the catalog (description + talking points for the AI's side)
+  const aiPoints = topicRecord?.talking_points?.[aiSide] || [];
+  const topicBlock = topicRecord ? `
+About the topic: ${topicRecord.description || topicRecord.title}
+${aiPoints.length ? `Ideas you can draw on for your side:\n${aiPoints.map(p => `- ${p}`).join("\n")}\n` : ""}` : "";
+
+  // 4) Prompt (ask the model to score the student against the rubric too)
+  const politeRules = `
 General rules:
 - Be respectful and age-appropriate.
 - Stay on the chosen topic: ${topic || "student's choice"}.
@@ -368,157 +958,1582 @@ General rules:
 - You must consistently defend the **${aiSide.toUpperCase()}** side of that statement
   for the whole debate, even if the student changes their mind later.
 - You may briefly agree with specific points if they are fair, but do NOT switch sides overall.
-`;
+${topicBlock}`;
 
-    const prompt = `
-${politeRules}
-Round ${round} of 5.
+  // Earlier rounds from the session log so rebuttals answer the whole debate
+  const history = await buildDebateHistory(session);
+
+  const memoryBlock = history.text ? `
+Debate so far (use it: answer new points, don't repeat your earlier arguments, stay consistent):
+${history.text}
+` : "";
+
+  const prompt = `
+${politeRules}${memoryBlock}
+Round ${round} of ${session.settings.max_rounds || MAX_ROUNDS}${phase.ai_instructions ? ` — ${phase.name}` : ""}.
+${phase.ai_instructions}
 Difficulty: ${difficulty}
-${profile.style}
+${profile.counter}
+${profile.tone}
+
+Then score ONLY the student's latest message, 0-4 each (0 = missing, 2 = okay, 4 = excellent for a middle schooler):
+- claim: one clear position on the topic
+- reasoning: explains why (because / so / this means)
+- evidence: examples, facts, numbers or experiences${evidence.length ? " (the cited facts below count as evidence)" : ""}
+- rebuttal: answers the AI's previous point${round === 1 || !phase.rebuttal ? " (this round: use null)" : ""}
+- respect: kind, school-appropriate language
+Score the argument the same way at every difficulty.
 
 Output ONLY JSON with these keys:
 {
   "reply": "string",
   "stance": "agree"|"disagree"|"mixed",
-  "outcome": "student"|"ai"|"mixed",
-  "score": number,
-  "concession": number,
-  "student_strength": number
+  "rubric": { "claim": number, "reasoning": number, "evidence": number, "rebuttal": number|null, "respect": number }
 }
 
 Student side: "${studentSide || "unknown"}"
 AI side: "${aiSide}"
-Student said: """${message}"""`;
+Student said: """${message}"""${evidence.length ? `
+The student cited these facts from the class evidence library. They are vetted, so don't dispute them;
+answer them in your reply (e.g. show why your side still holds):
+${evidence.map(e => `- "${e.text}" (${e.source})`).join("\n")}` : ""}${languageInstruction(locale)}`;
+
+  const llmArgs = {
+    task: "debate",
+    input: prompt,
+    context: { message, topic, studentSide, aiSide, round, difficulty, phase: phase.id, evidence, locale }
+  };
+  let out = "";
+  if (onDelta) {
+    // Forward whole words only, and stop forwarding as soon as the reply so
+    // far fails moderation; the final event carries the cleaned reply.
+    const extract = replyExtractor();
+    let shown = "", held = "", stopped = false;
+    for await (const chunk of llm.stream(llmArgs)) {
+      out += chunk;
+      held += extract(chunk);
+      const cut = held.lastIndexOf(" ");
+      if (stopped || cut === -1) continue;
+      const ready = held.slice(0, cut + 1);
+      if (moderator.check(shown + ready, { locale }).action !== "allow") {
+        stopped = true;
+        continue;
+      }
+      onDelta(ready);
+      shown += ready;
+      held = held.slice(cut + 1);
+    }
+    out = out.trim();
+  } else {
+    out = await llm.complete(llmArgs);
+  }
+  // Re-read the stored session: it may have been finished while the model answered
+  if (loadSession(session.session_id)?.state.finished) throw finishedError(session);
+  let data = parseJsonBlock(out);
+  if (!data) {
+    data = {
+      reply: t("reply.fallback"),
+      stance: "mixed"
+    };
+  }
 
-    const r = await openai.responses.create({ model: "gpt-4o-mini", input: prompt });
-    const out = (r.output_text || "").trim();
-    let data;
-    try {
-      const s = out.indexOf("{"); const e = out.lastIndexOf("}");
-      data = JSON.parse(out.slice(s, e + 1));
-    } catch {
-      data = {
-        reply: "That's an interesting point—here’s one idea to consider on this topic.",
-        stance: "mixed",
-        outcome: "mixed",
-        score: profile.bias,
-        concession: 0.0,
-        student_strength: 0.5
+  // === RUBRIC SCORING (see lib/rubric.js for the criteria and difficulty curve) ===
+  const prevAiReply = historyTurns(session).slice(-1)[0]?.ai_reply_text || "";
+  const rubricContext = { round, rebuttal: phase.rebuttal, moderationAction: mod.action, relevanceLevel: relevance?.level, prevAiReply, locale };
+  const modelRubric = normalizeRubric(data.rubric, rubricContext);
+  const rubric = creditCitations(modelRubric || scoreRubricOffline(message, rubricContext), evidence.length);
+  const hints = hintsUsed(session.turns, round);
+  const { meter, leader, quality } = meterFromRubric(rubric, difficulty, { hints, hintPenalty: HINT_PENALTY });
+  const score = meter / 100;
+
+  const stance = (data.stance || "").toString().toLowerCase();
+  data.stance = ["agree", "disagree", "mixed"].includes(stance) ? stance : "mixed";
+  data.outcome = leader === "tied" ? "mixed" : leader;
+
+  const label = meterLabel(meter, leader, t);
+
+  data.score     = score;
+  data.round     = round;
+  data.nextRound = round + 1;
+  data.endDebate = data.nextRound > (session.settings.max_rounds || MAX_ROUNDS);
+  if (!data.reply) {
+    data.reply = t("reply.empty");
+  }
+
+  // Same checks on the AI's own words before the student sees them
+  const aiMod = moderator.check(data.reply, { locale });
+  if (aiMod.action !== "allow") {
+    console.warn(`AI reply failed moderation (${aiMod.tier}/${aiMod.category}) in ${session.session_id}`);
+    data.reply = t("reply.safe");
+  }
+
+  data.hud = { meter, leader, label, difficulty };
+  data.rubric = {
+    criteria: rubricCriteria(rubric, t.raw("rubric")),
+    quality,
+    tip: rubricTip(rubric, t.raw("rubric")),
+    source: modelRubric ? "model" : "fallback"
+  };
+  if (hint) data.hint = hint;
+  if (mod.action === "warn") data.warning = t("warn");
+  if (relevance) data.relevance = { score: relevance.score, level: relevance.level };
+
+  // Record the turn and advance the server-side round counter
+  recordTurn(session, {
+    round,
+    student_text: message,
+    ai_reply_text: data.reply,
+    hud_meter: meter,
+    hud_leader: leader,
+    latency_ms: Date.now() - t0,
+    status: "ok",
+    category: mod.flagged ? mod.category : "",
+    moderation: moderationLog(mod),
+    ai_moderation: moderationLog(aiMod),
+    relevance: relevance?.score ?? null,
+    relevance_level: relevance?.level ?? null,
+    rubric,
+    rubric_quality: quality,
+    rubric_source: data.rubric.source,
+    hints_used: hints,
+    evidence
+  });
+  session.state.hud_history.push({ round, meter, leader });
+  session.state.round = data.nextRound;
+
+  // Adaptive: re-check the level for the next round (see lib/adaptive.js)
+  if (isAdaptive(session.settings) && !data.endDebate) {
+    const next = nextDifficulty(difficulty, session.turns);
+    if (next.changed) {
+      session.state.difficulty = next.difficulty;
+      data.difficulty_change = {
+        from: difficulty,
+        to: next.difficulty,
+        direction: next.direction,
+        max_words: wordLimit(session, data.nextRound),
+        message: t(next.direction === "up" ? "difficulty.up" : "difficulty.down", { level: t(`level.${next.difficulty}`) })
       };
     }
+  }
+  data.phase = phaseInfo(session, round);
+  data.hints = hintStatus(session);
+  if (!data.endDebate) data.next_phase = phaseInfo(session, data.nextRound);
+  if (data.endDebate) data.summary = finalizeSession(session);
+  saveSession(session);
 
-    // === DYNAMIC SCORING (argument-driven, light difficulty tilt) ===
-    const clamp01 = x => Math.max(0, Math.min(1, x));
-    const mix = (a,b,t)=>a*(1-t)+b*t;
+  return data;
+}
 
-    const concession  = clamp01(Number(data.concession ?? 0));
-    const stuStrength = clamp01(Number(data.student_strength ?? 0.5));
-    const stance      = (data.stance || "mixed").toLowerCase();
+app.post('/api/debate', requireSessionToken, async (req, res) => {
+  const check = checkDebateRequest(req.body);
+  if (check.error) return res.status(check.status).json({ error: check.error, round: check.round });
 
-    // 1) Neutral base around 0.5 (0 → student ahead, 1 → AI ahead)
-    let base = 0.5;
+  const { session } = check;
+  turnsInFlight.add(session.session_id);
+  try {
+    res.json(await runDebateTurn(session, req.body.message, null, check.evidence));
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : translator(localeOf(session))("error.failed") });
+  } finally {
+    turnsInFlight.delete(session.session_id);
+  }
+});
+
+// Same turn as /api/debate, streamed as Server-Sent Events:
+//   event: delta  data: { text }   – next piece of the AI reply
+//   event: final  data: { ... }    – the full /api/debate response (hud, stance, outcome, endDebate…)
+//   event: error  data: { error }
+app.post('/api/debate/stream', requireSessionToken, async (req, res) => {
+  const check = checkDebateRequest(req.body);
+  if (check.error) return res.status(check.status).json({ error: check.error, round: check.round });
+
+  const { session } = check;
+  turnsInFlight.add(session.session_id);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+
+  try {
+    const data = await runDebateTurn(session, req.body.message, text => send("delta", { text }), check.evidence);
+    send("final", data);
+  } catch (err) {
+    console.error(err);
+    send("error", { error: err.status ? err.message : translator(localeOf(session))("error.failed") });
+  } finally {
+    turnsInFlight.delete(session.session_id);
+    res.end();
+  }
+});
+
+/* ------------------------------ Accounts API ----------------------------- */
+function setLoginCookie(req, res, token) {
+  const secure = req.secure ? '; Secure' : '';
+  res.setHeader('Set-Cookie', `${LOGIN_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict${secure}`);
+}
+
+// Body: { username, password }
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const name = (username ?? "").toString().trim().toLowerCase();
+  if (loginStore.lockedOut(name)) {
+    return res.status(429).json({ error: 'Too many failed logins. Please wait a few minutes and try again.' });
+  }
+  const user = userStore.findByUsername(name);
+  if (!user || !verifyPassword(password, user.password_hash)) {
+    loginStore.recordFailure(name);
+    return res.status(401).json({ error: 'Wrong username or password' });
+  }
+  loginStore.clearFailures(name);
+  setLoginCookie(req, res, loginStore.create(user.id));
+  res.json({ user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.loginToken) loginStore.remove(req.loginToken);
+  res.setHeader('Set-Cookie', `${LOGIN_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', requireStaff, (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+// Body: { current_password, password }. Other logins for the account are ended.
+app.post('/api/auth/password', requireStaff, (req, res) => {
+  const { current_password, password } = req.body || {};
+  if (!verifyPassword(current_password, req.user.password_hash)) {
+    return res.status(400).json({ error: 'Your current password is wrong' });
+  }
+  const { error } = userStore.update(req.user.id, { password });
+  if (error) return res.status(400).json({ error });
+  loginStore.removeForUser(req.user.id);
+  setLoginCookie(req, res, loginStore.create(req.user.id));
+  res.json({ ok: true });
+});
+
+// Admins manage teacher and admin accounts
+const otherAdmins = id => userStore.list().some(u => u.role === 'admin' && u.id !== id);
+
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ users: userStore.list().map(publicUser) });
+});
+
+// Body: { username, password, role }
+app.post('/api/users', requireAdmin, (req, res) => {
+  const { user, error } = userStore.create(req.body || {});
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ user: publicUser(user) });
+});
+
+// Body: { password?, role? }. A new password or role logs the user out everywhere.
+app.put('/api/users/:id', requireAdmin, (req, res) => {
+  const { role } = req.body || {};
+  if (role !== undefined && role !== 'admin' && !otherAdmins(req.params.id)) {
+    return res.status(400).json({ error: 'There must always be at least one admin' });
+  }
+  const { user, error, notFound } = userStore.update(req.params.id, req.body || {});
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  loginStore.removeForUser(user.id);
+  res.json({ user: publicUser(user) });
+});
+
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  if (req.params.id === req.user.id) return res.status(400).json({ error: 'You can’t remove your own account' });
+  if (!userStore.remove(req.params.id)) return res.status(404).json({ error: 'User not found' });
+  loginStore.removeForUser(req.params.id);
+  res.json({ ok: true });
+});
+
+/* -------------------------- Teacher dashboard API ------------------------ */
+
+// Finished sessions keep their summary; unfinished ones get live stats and
+// winner "in_progress".
+function sessionSummary(data) {
+  return data.state.finished ? data.summary : { ...sessionStats(data), winner_final: "in_progress" };
+}
 
-    if (stance === "agree") {
-      base -= 0.12 * (0.6 + 0.4 * concession);
-    } else if (stance === "mixed") {
-      base -= 0.06 * (0.5 + 0.5 * concession);
-    } else {
-      base += 0.08 * (1 - concession);
+// One row per session for the dashboard list
+function sessionRow(data) {
+  const stats = sessionSummary(data);
+  return {
+    session_id: data.session_id,
+    start_ts: data.start_ts,
+    end_ts: data.end_ts || null,
+    student: data.student,
+    difficulty: data.settings.difficulty,
+    current_difficulty: effectiveDifficulty(data),
+    topic: data.settings.topic,
+    topic_id: data.settings.topic_id || null,
+    side: data.settings.side,
+    locale: localeOf(data),
+    class_id: data.settings.class_id || null,
+    class_name: data.settings.class_name || null,
+    roster_id: data.settings.roster_id || null,
+    assignment_id: data.settings.assignment_id || null,
+    mode: data.settings.mode || "ai",
+    participants: data.state.participants || null,
+    finished: Boolean(data.state.finished),
+    ...stats,
+    safety_flags: data.turns.filter(t => t.status === "support").length
+  };
+}
+
+// Sessions the logged-in teacher/admin may see
+function listSessions(user) {
+  return sessionStore.listSessions().filter(d => canSeeSession(user, d));
+}
+
+const SESSION_SORTS = {
+  date: r => r.start_ts,
+  readability: r => r.readability_avg_grade,
+  rounds: r => r.rounds_played
+};
+
+// Query: class (id), grade, topic (id or title), difficulty, from/to (YYYY-MM-DD, inclusive),
+// winner (student | ai | pro | con | tied | ended_for_violation | in_progress),
+// violations (yes | no), sort (date | readability | rounds), order (asc | desc)
+function filterSessionRows(rows, q) {
+  const lower = v => (v ?? "").toString().trim().toLowerCase();
+  const day = ts => (ts || "").slice(0, 10);
+
+  let out = rows.filter(r =>
+    (!q.class || r.class_id === q.class) &&
+    (!q.grade || lower(r.student?.grade) === lower(q.grade)) &&
+    (!q.topic || r.topic_id === q.topic || lower(r.topic) === lower(q.topic)) &&
+    (!q.difficulty || r.difficulty === q.difficulty) &&
+    (!q.from || day(r.start_ts) >= q.from) &&
+    (!q.to || day(r.start_ts) <= q.to) &&
+    (!q.winner || r.winner_final === q.winner) &&
+    (q.violations !== "yes" || r.violations_total > 0) &&
+    (q.violations !== "no" || r.violations_total === 0)
+  );
+
+  const key = SESSION_SORTS[q.sort] || SESSION_SORTS.date;
+  const dir = q.order === "asc" ? 1 : -1;
+  out = out.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * dir);
+  return out;
+}
+
+app.get('/api/teacher/sessions', requireStaff, (req, res) => {
+  const rows = filterSessionRows(listSessions(req.user).map(sessionRow), req.query);
+  res.json({ sessions: rows, total: rows.length });
+});
+
+// Full transcript: every turn with its HUD meter, word count and readability
+app.get('/api/teacher/sessions/:id', requireStaff, (req, res) => {
+  const data = loadSession(req.params.id);
+  if (!data || !canSeeSession(req.user, data)) return res.status(404).json({ error: 'Session not found' });
+
+  const turns = data.turns.map(t => ({
+    round: t.round,
+    speaker: t.speaker || null,
+    speaker_name: t.speaker_name || null,
+    status: t.status,
+    category: t.category || "",
+    student_text: t.student_text,
+    ai_reply_text: t.ai_reply_text,
+    student_word_count: t.student_word_count,
+    readability_grade: t.readability_grade,
+    hud_meter: t.hud_meter,
+    hud_leader: t.hud_leader,
+    effective_difficulty: t.effective_difficulty || null,
+    relevance: t.relevance ?? null,
+    relevance_level: t.relevance_level || null,
+    phase: phaseName(data, t.phase),
+    rubric: t.rubric || null,
+    hints_used: t.hints_used ?? null,
+    coach: t.coach || null,
+    evidence: t.evidence || [],
+    outline: t.outline || null
+  }));
+  res.json({ session: sessionRow(data), turns, verdict: data.state.verdict || null });
+});
+
+/* ------------------------------ Bulk exports ----------------------------- */
+// GET /api/export/turns     one row per turn across sessions
+// GET /api/export/sessions  one row per session with summary stats
+// Query: class, from, to, topic, difficulty (same filters as the dashboard),
+//        format = csv (default) | jsonl, pseudonymize = 1
+
+// Keyed so pseudonyms are stable across exports but can't be reversed by
+// hashing a class list. EXPORT_SALT overrides the one generated on first use.
+function pseudonymSalt() {
+  if (process.env.EXPORT_SALT) return process.env.EXPORT_SALT;
+  let salt = sessionStore.getMeta('pseudonym_salt');
+  if (!salt) {
+    salt = crypto.randomBytes(16).toString('hex');
+    sessionStore.setMeta('pseudonym_salt', salt);
+  }
+  return salt;
+}
+
+function sendExport(req, res, name, columns, rows) {
+  if (req.query.pseudonymize === '1') rows = rows.map(createPseudonymizer(pseudonymSalt()));
+  const jsonl = req.query.format === 'jsonl';
+  const file = `${name}-${new Date().toISOString().slice(0, 10)}.${jsonl ? 'jsonl' : 'csv'}`;
+  res.setHeader('Content-Type', jsonl ? 'application/x-ndjson; charset=utf-8' : 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${file}"`);
+  res.send(jsonl ? toJSONL(columns, rows) : toCSV(columns, rows));
+}
+
+// The user's sessions matching the dashboard filters, oldest first
+function exportSessions(user, query) {
+  const byId = new Map(listSessions(user).map(d => [d.session_id, d]));
+  return filterSessionRows([...byId.values()].map(sessionRow), { ...query, sort: 'date', order: 'asc' })
+    .map(r => byId.get(r.session_id));
+}
+
+app.get('/api/export/turns', requireStaff, (req, res) => {
+  const rows = exportSessions(req.user, req.query).flatMap(turnExportRows);
+  sendExport(req, res, 'turns', TURN_EXPORT_COLUMNS, rows);
+});
+
+app.get('/api/export/sessions', requireStaff, (req, res) => {
+  const rows = exportSessions(req.user, req.query).map(d => sessionExportRow(d, sessionSummary(d)));
+  sendExport(req, res, 'sessions', SESSION_EXPORT_COLUMNS, rows);
+});
+
+/* ------------------------------- Report API ------------------------------ */
+// Feedback report for one session (see lib/report.js), in the session's
+// language; works mid-debate too
+app.get('/api/report/:session_id', (req, res) => {
+  const data = loadSession(req.params.session_id);
+  if (!data) return res.status(404).json({ error: 'Session not found' });
+  if (!canReadSession(req, data)) return res.status(403).json({ error: 'You don’t have access to that session' });
+  const t = translator(localeOf(data));
+  res.json(buildReport(data, { report: t.raw("report"), rubric: t.raw("rubric") }));
+});
+
+/* ---------------------------- Safety alerts ------------------------------ */
+// Alerts follow their session: teachers see those from their own classes
+function canSeeAlert(user, alert) {
+  if (user.role === 'admin') return true;
+  const session = loadSession(alert.session_id);
+  return Boolean(session && canSeeSession(user, session));
+}
+
+// Open alerts by default; ?all=1 includes acknowledged ones.
+app.get('/api/alerts', requireStaff, (req, res) => {
+  const alerts = alertStore.list({ includeAcknowledged: req.query.all === '1' });
+  res.json({ alerts: alerts.filter(a => canSeeAlert(req.user, a)) });
+});
+
+// Recorded as acknowledged by the logged-in user
+app.post('/api/alerts/:id/acknowledge', requireStaff, (req, res) => {
+  const { note = "" } = req.body || {};
+  const existing = alertStore.get(req.params.id);
+  if (!existing || !canSeeAlert(req.user, existing)) return res.status(404).json({ error: 'Alert not found' });
+  const alert = alertStore.acknowledge(existing.id, { by: req.user.username, note });
+  res.json({ alert });
+});
+
+/* ------------------------------- Classes API ----------------------------- */
+// Created here rather than with the other stores because it validates
+// assignments against WORD_LIMITS and the topic catalog.
+const classStore = createClassStore(CLASSES_FILE, {
+  difficulties: [...Object.keys(WORD_LIMITS), ADAPTIVE],
+  isTopic: id => Boolean(topicStore.get(id)),
+  formats: formatCatalog
+});
+
+// Formats teachers can pick for an assignment
+app.get('/api/formats', (req, res) => {
+  res.json({ formats: formatCatalog.list() });
+});
+
+// Languages a debate can be held in (lib/i18n.js), and each one's UI strings
+app.get('/api/locales', (req, res) => {
+  res.json({ locales: localeList() });
+});
+
+app.get('/api/locales/:id', (req, res) => {
+  const locale = localeList().find(l => l.id === req.params.id);
+  if (!locale) return res.status(404).json({ error: 'Language not found' });
+  res.json({ locale, strings: uiStrings(locale.id) });
+});
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+const rosterError = (cls, locale) => translator(locale)("error.roster", { class: cls.name });
+
+// What a student needs to set up their debate from a join code
+function joinInfo(cls) {
+  const a = currentAssignment(cls);
+  const topics = topicStore.list()
+    .filter(t => !a.topic_ids.length || a.topic_ids.includes(t.id))
+    .map(({ id, title, description }) => ({ id, title, description }));
+  return {
+    class: { id: cls.id, name: cls.name },
+    assignment: {
+      id: a.id,
+      topics,
+      difficulties: a.difficulties,
+      format: formatCatalog.get(a.format_id || DEFAULT_FORMAT_ID)?.name || null,
+      max_rounds: a.max_rounds,
+      due_date: a.due_date,
+      overdue: Boolean(a.due_date && a.due_date < todayISO())
     }
+  };
+}
 
-    // Student strength pulls toward student when high
-    base += (0.5 - stuStrength) * 0.30;
-
-    // ✅ Penalize ultra-short / low-effort responses on all but Beginner
-    if (difficulty !== "Beginner") {
-      if (wc <= 4) {
-        // e.g., "homework bad" → strongly nudge toward AI
-        base = mix(base, 0.68, 0.55);
-      } else if (wc <= 8) {
-        // short, weak arguments → softer nudge to AI
-        base = mix(base, 0.60, 0.35);
-      }
+// Validate a session start against the class's current assignment.
+// Returns { settings } (merged into session.settings) or { status, error }.
+function checkAssignment(code, student, { difficulty, topic_id }, locale = DEFAULT_LOCALE) {
+  const cls = classStore.findByCode(code);
+  if (!cls || !currentAssignment(cls)) return { status: 404, error: translator(locale)("error.unknown_class") };
+  if (!onRoster(cls, student)) return { status: 403, error: rosterError(cls, locale) };
+
+  const a = currentAssignment(cls);
+  const t = translator(locale);
+  if (!a.difficulties.includes(difficulty)) {
+    return { status: 400, error: t("error.assignment_difficulty", { list: a.difficulties.map(d => t(`level.${d}`)).join(t("list.or")) }) };
+  }
+  if (a.topic_ids.length && !a.topic_ids.includes(topic_id)) return { status: 400, error: t("error.assignment_topic") };
+
+  return {
+    settings: {
+      max_rounds: a.max_rounds,
+      format_id: a.format_id || DEFAULT_FORMAT_ID,
+      class_id: cls.id,
+      class_name: cls.name,
+      roster_id: rosterEntry(cls, student)?.id || null,
+      assignment_id: a.id,
+      due_date: a.due_date
     }
+  };
+}
 
-    // Tiny jitter
-    base += (Math.random() * 0.02 - 0.01);
-    base = clamp01(base);
-
-    function applyDifficultyTilt(baseScore, diff) {
-      let target = 0.50, k = 0.00;
-      switch (diff) {
-        case "Beginner":
-          target = 0.25; k = 0.00;  // student-friendly
-          break;
-        case "Intermediate":
-          target = 0.40; k = 0.08;  // slight student tilt (~30% AI overall)
-          break;
-        case "Normal":
-          target = 0.50; k = 0.05;  // ~50/50
-          break;
-        case "Hard":
-          target = 0.60; k = 0.12;  // edge to AI
-          break;
-        case "Extreme":
-          target = 0.75; k = 0.35;  // strong AI edge
-          break;
-        default:
-          target = 0.50; k = 0.05;
-      }
-      return clamp01(mix(baseScore, target, k));
+// Class routes below :id only reach classes the user owns; others are "not found"
+function requireOwnClass(req, res, next) {
+  if (!ownsClass(req.user, classStore.get(req.params.id))) return res.status(404).json({ error: 'Class not found' });
+  next();
+}
+
+app.get('/api/classes', requireStaff, (req, res) => {
+  res.json({ classes: classStore.list().filter(c => ownsClass(req.user, c)) });
+});
+
+app.get('/api/classes/:id', requireStaff, requireOwnClass, (req, res) => {
+  res.json({ class: classStore.get(req.params.id) });
+});
+
+// Body: { name, roster: ["Alex K", ...], topic_ids, difficulties, max_rounds, due_date }
+app.post('/api/classes', requireStaff, (req, res) => {
+  const { cls, error } = classStore.create(req.body || {}, { owner_id: req.user.id });
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ class: cls });
+});
+
+// Admins may also send owner_id to move a class to another teacher
+app.put('/api/classes/:id', requireStaff, requireOwnClass, (req, res) => {
+  const { owner_id } = req.body || {};
+  if (owner_id !== undefined && req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can change a class’s teacher' });
+  if (owner_id !== undefined && !userStore.get(owner_id)) return res.status(400).json({ error: 'Unknown teacher' });
+  const { cls, error, notFound } = classStore.update(req.params.id, req.body || {}, { owner_id });
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.json({ class: cls });
+});
+
+app.delete('/api/classes/:id', requireStaff, requireOwnClass, (req, res) => {
+  if (!classStore.remove(req.params.id)) return res.status(404).json({ error: 'Class not found' });
+  res.json({ ok: true });
+});
+
+// A new setup for the class; students joining from now on get this one
+app.post('/api/classes/:id/assignments', requireStaff, requireOwnClass, (req, res) => {
+  const { assignment, error, notFound } = classStore.addAssignment(req.params.id, req.body || {});
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.status(201).json({ assignment });
+});
+
+// Progress across the term for rostered students (see lib/progress.js)
+app.get('/api/classes/:id/students', requireStaff, requireOwnClass, (req, res) => {
+  const cls = classStore.get(req.params.id);
+  const sessions = sessionStore.classSessions(cls.id);
+  const students = cls.roster.map(entry => ({
+    ...entry,
+    ...buildProgress(entry, studentSessions(entry, sessions), sessionSummary).totals
+  }));
+  res.json({ class: { id: cls.id, name: cls.name }, students });
+});
+
+app.get('/api/classes/:id/students/:student_id', requireStaff, requireOwnClass, (req, res) => {
+  const cls = classStore.get(req.params.id);
+  const entry = cls.roster.find(r => r.id === req.params.student_id);
+  if (!entry) return res.status(404).json({ error: 'Student not found' });
+  const sessions = studentSessions(entry, sessionStore.classSessions(cls.id));
+  res.json({ class: { id: cls.id, name: cls.name }, ...buildProgress(entry, sessions, sessionSummary) });
+});
+
+// Students: look up a join code (and check the roster when a name is given)
+app.post('/api/join', (req, res) => {
+  const { code, first_name, last_initial } = req.body || {};
+  const locale = isLocale(req.body?.locale) ? req.body.locale : DEFAULT_LOCALE;
+  const cls = classStore.findByCode(code);
+  if (!cls || !currentAssignment(cls)) return res.status(404).json({ error: translator(locale)("error.unknown_class") });
+  if (first_name && !onRoster(cls, { first_name, last_initial })) {
+    return res.status(403).json({ error: rosterError(cls, locale) });
+  }
+  res.json(joinInfo(cls));
+});
+
+/* --------------------------- Topic catalog API --------------------------- */
+// Students only see enabled topics; ?all=1 includes disabled ones for logged-in
+// teachers. Only admins edit the catalog.
+app.get('/api/topics', (req, res) => {
+  res.json({ topics: topicStore.list({ includeDisabled: req.query.all === '1' && Boolean(req.user) }) });
+});
+
+app.get('/api/topics/:id', (req, res) => {
+  const topic = topicStore.get(req.params.id);
+  if (!topic) return res.status(404).json({ error: 'Topic not found' });
+  res.json({ topic });
+});
+
+app.post('/api/topics', requireAdmin, (req, res) => {
+  const { topic, error } = topicStore.create(req.body || {});
+  if (error) return res.status(400).json({ error });
+  res.status(201).json({ topic });
+});
+
+app.put('/api/topics/:id', requireAdmin, (req, res) => {
+  const { topic, error, notFound } = topicStore.update(req.params.id, req.body || {});
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.json({ topic });
+});
+
+app.delete('/api/topics/:id', requireAdmin, (req, res) => {
+  if (!topicStore.remove(req.params.id)) return res.status(404).json({ error: 'Topic not found' });
+  res.json({ ok: true });
+});
+
+/* ------------------------------ Explain API ------------------------------ */
+
+const OUTLINE_LIMITS = { text: 160, list: 4 };
+
+function cleanText(v, max = OUTLINE_LIMITS.text) {
+  return typeof v === "string" ? v.replace(/\s+/g, " ").trim().slice(0, max) : "";
+}
+function cleanList(v) {
+  if (!Array.isArray(v)) return [];
+  return v.map(x => cleanText(x)).filter(Boolean).slice(0, OUTLINE_LIMITS.list);
+}
+
+// Validate a model outline against the schema the client renders:
+// { extracted_claim, reasons[], evidence[], ai: { claim, reasons[], evidence[] }, steps[], strategy }
+// Returns a normalized copy, or null when the required parts are missing.
+function validateOutline(raw, t = translator()) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+  const extracted_claim = cleanText(raw.extracted_claim);
+  const strategy = cleanText(raw.strategy);
+  if (!extracted_claim || !strategy) return null;
+
+  const ai = raw.ai && typeof raw.ai === "object" ? raw.ai : {};
+  const outline = {
+    extracted_claim,
+    reasons: cleanList(raw.reasons),
+    evidence: cleanList(raw.evidence),
+    ai: {
+      claim: cleanText(ai.claim),
+      reasons: cleanList(ai.reasons),
+      evidence: cleanList(ai.evidence)
+    },
+    steps: cleanList(raw.steps),
+    strategy
+  };
+  if (!outline.steps.length) outline.steps = outlineSteps(outline, t);
+  return outline;
+}
+
+// Short bullet list for the thought cloud (the client prints strategy separately)
+function outlineSteps(o, t = translator()) {
+  const steps = [];
+  if (o.reasons[0])  steps.push(t("explain.step_reason", { text: o.reasons[0] }));
+  if (o.evidence[0]) steps.push(t("explain.step_evidence", { text: o.evidence[0] }));
+  if (o.ai.claim)    steps.push(t("explain.step_ai_claim", { text: o.ai.claim }));
+  if (o.ai.reasons[0]) steps.push(t("explain.step_ai_reason", { text: o.ai.reasons[0] }));
+  return steps.slice(0, OUTLINE_LIMITS.list);
+}
+
+function splitSentences(text = "") {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+}
+
+// Words that mark a reason or evidence, by locale (\b only works for ASCII
+// words, so Spanish uses letter lookarounds)
+const OUTLINE_MARKERS = {
+  en: {
+    reason:   /\b(because|since|so that|so|therefore|that's why|this means)\b/i,
+    evidence: /\b(for example|for instance|such as|studies|study|research|percent|survey|data|\d+)\b|%/i
+  },
+  es: {
+    reason:   /(?<![\p{L}\p{N}])(porque|ya que|puesto que|así que|por eso|por lo tanto|esto significa)(?![\p{L}\p{N}])/iu,
+    evidence: /(?<![\p{L}\p{N}])(por ejemplo|tal como|estudios?|investigaci[oó]n(?:es)?|por ciento|encuestas?|datos|\d+)(?![\p{L}\p{N}])|%/iu
+  }
+};
+
+// Deterministic outline used when the model output is missing or invalid
+function fallbackOutline(student = "", reply = "", locale = DEFAULT_LOCALE) {
+  const t = translator(locale);
+  const { reason: REASON_RE, evidence: EVIDENCE_RE } = OUTLINE_MARKERS[locale] || OUTLINE_MARKERS.en;
+  const stu = splitSentences(student);
+  const ai  = splitSentences(reply);
+
+  const pick = (list, re) => list.filter(s => re.test(s));
+  const reasons  = pick(stu, REASON_RE);
+  const evidence = pick(stu, EVIDENCE_RE);
+
+  let strategy;
+  if (!reasons.length) strategy = t("explain.need_reason");
+  else if (!evidence.length) strategy = t("explain.need_evidence");
+  else strategy = t("explain.answer_ai");
+
+  const outline = {
+    extracted_claim: cleanText(stu[0] || student),
+    reasons: cleanList(reasons),
+    evidence: cleanList(evidence),
+    ai: {
+      claim: cleanText(ai[0] || ""),
+      reasons: cleanList(pick(ai, REASON_RE)),
+      evidence: cleanList(pick(ai, EVIDENCE_RE))
+    },
+    steps: [],
+    strategy
+  };
+  outline.steps = outlineSteps(outline, t);
+  return outline;
+}
+
+app.post('/api/explain', requireSessionToken, async (req, res) => {
+  const { student, reply = "", session_id = null, round = null } = req.body || {};
+  if (!student) return res.status(400).json({ error: 'Missing student' });
+  const session = loadSession(session_id);
+  const locale = localeOf(session);
+
+  const prompt = `
+You are helping a middle-school student see the structure of a debate turn.
+Break the STUDENT argument and the AI reply into parts. Use short plain phrases.
+
+Output ONLY JSON with these keys:
+{
+  "extracted_claim": "string (the student's main claim)",
+  "reasons": ["string"],
+  "evidence": ["string"],
+  "ai": { "claim": "string", "reasons": ["string"], "evidence": ["string"] },
+  "steps": ["string (max 4 short steps showing how the argument works)"],
+  "strategy": "string (one suggested next move for the student)"
+}
+Use [] when a part is missing. Do not invent evidence.
+
+Student said: """${student}"""
+AI replied: """${reply}"""${languageInstruction(locale)}`;
+
+  let outline = null;
+  let source = "model";
+  try {
+    const out = await llm.complete({ task: "explain", input: prompt, context: { student, reply, locale } });
+    outline = validateOutline(parseJsonBlock(out), translator(locale));
+  } catch (err) {
+    console.error(err);
+  }
+  if (!outline) {
+    outline = fallbackOutline(student, reply, locale);
+    source = "fallback";
+  }
+  outline.source = source;
+
+  // Store next to the student's latest turn so the session log has the outline
+  // too. The round is the session's; a different one from the client is stale.
+  const last = session?.turns.filter(t => (t.status || "ok") === "ok").at(-1);
+  if (last && (round === null || round === last.round)) sessionStore.updateTurn(session_id, last.round, { outline });
+
+  res.json(outline);
+});
+
+/* --------------------------- "Help me argue" API ------------------------- */
+// While writing a turn the student can ask for scaffolds: sentence starters, a
+// question to consider and a counter-example prompt, shaped for the round and
+// the AI's last reply (see lib/coach.js). Each debate gets hintLimit(level)
+// hints; each one is logged as a turn with status "hint" in the round being
+// written, and the next ok turn records how many it had (hints_used).
+//
+// HINT_PENALTY is the share of a round's rubric quality each hint costs on the
+// meter (default 0.05; 0 = hints don't affect scoring).
+const HINT_PENALTY = Math.max(0, Math.min(1, Number(process.env.HINT_PENALTY ?? 0.05) || 0));
+
+function hintStatus(session) {
+  const limit = hintLimit(effectiveDifficulty(session));
+  const used = hintsUsed(session.turns);
+  return { used, limit, remaining: Math.max(0, limit - used) };
+}
+
+// One line for the turn log (ai_reply_text of the "hint" turn)
+const scaffoldText = s =>
+  `Starters: ${s.starters.join(" / ")} · Question: ${s.question} · Counter-example: ${s.counter_example}`;
+
+app.post('/api/coach', requireSessionToken, async (req, res) => {
+  const { session_id = null } = req.body || {};
+  const session = loadSession(session_id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const locale = localeOf(session);
+  const t = translator(locale);
+  if (session.state.finished) return res.status(409).json({ error: t("error.finished") });
+  if (turnsInFlight.has(session_id)) return res.status(409).json({ error: t("coach.wait") });
+
+  const hints = hintStatus(session);
+  if (!hints.remaining) {
+    return res.status(409).json({ error: t("coach.out_of_hints", { limit: hints.limit }), hints });
+  }
+
+  const round = session.state.round;
+  const { topic = null, side: studentSide = null } = session.settings;
+  const phase = phaseFor(sessionFormat(session), round);
+  const kind = scaffoldKind({ round, maxRounds: session.settings.max_rounds || MAX_ROUNDS, phase });
+  const topicRecord = sessionTopic(session);
+  const points = topicRecord?.talking_points?.[studentSide] || [];
+  const lastReply = historyTurns(session).slice(-1)[0]?.ai_reply_text || "";
+
+  // The draft only tailors the hints; one that fails moderation is left out
+  let draft = clip(typeof req.body?.draft === "string" ? req.body.draft : "", 600);
+  if (draft && moderator.check(draft, { locale }).action !== "allow") draft = "";
+
+  const prompt = `
+You are a debate coach helping a middle-school student write their next turn.
+Do NOT write the argument for them: give scaffolds they finish in their own words.
+The debate statement is: "${topic || "student's choice"}".
+The student argues the ${(studentSide || "unknown").toUpperCase()} side.
+Round ${round} of ${session.settings.max_rounds || MAX_ROUNDS}${phaseName(session, phase.id) ? ` — ${phase.name}` : ""}; the student is writing ${{ opening: "an opening statement", question: "a question for the AI", rebuttal: "a rebuttal", closing: "a closing statement" }[kind]}.
+${points.length ? `Ideas for the student's side:\n${points.map(p => `- ${p}`).join("\n")}\n` : ""}${lastReply ? `The AI's last reply: """${clip(lastReply, MEMORY.turnChars)}"""\n` : ""}${draft ? `The student's draft so far: """${draft}"""\n` : ""}
+Output ONLY JSON with these keys:
+{
+  "starters": ["3 short sentence starters the student can finish, using … for the gaps"],
+  "question": "one question to think about before writing",
+  "counter_example": "one prompt that helps the student think of an example against the AI's last point"
+}${languageInstruction(locale)}`;
+
+  const scaffoldCtx = { kind, topic, studentSide, points, lastReply, draft, locale };
+  turnsInFlight.add(session_id);
+  try {
+    let scaffold = null;
+    let source = "model";
+    try {
+      const out = await llm.complete({ task: "coach", input: prompt, context: scaffoldCtx });
+      scaffold = normalizeScaffold(parseJsonBlock(out));
+    } catch (err) {
+      console.error(err);
+    }
+    // Same checks on the coach's words as on the AI's debate replies
+    if (scaffold && moderator.check(scaffoldText(scaffold), { locale }).action !== "allow") scaffold = null;
+    if (!scaffold) {
+      // The catalog's talking points are English, so other languages go without
+      const fallbackCtx = locale === DEFAULT_LOCALE ? scaffoldCtx : { ...scaffoldCtx, points: [] };
+      scaffold = fallbackScaffold(fallbackCtx, t.raw("coach"));
+      source = "fallback";
     }
 
-    let score = applyDifficultyTilt(base, difficulty);
+    recordTurn(session, {
+      round,
+      ai_reply_text: scaffoldText(scaffold),
+      status: "hint",
+      coach: { ...scaffold, kind, source }
+    });
+    saveSession(session);
 
-    // Guardrails
-    if (difficulty === "Beginner") {
-      const saidAnything = (message || "").trim().length > 0;
-      if (saidAnything) score = Math.min(score, 0.35);  // ✅ easy mode: student clearly ahead
-    } else if (difficulty === "Extreme") {
-      if (stuStrength >= 0.75 && Math.random() < 0.10) {
-        score = Math.min(score, 0.46); // ~10% hero wins
-      }
+    res.json({ ...scaffold, kind, source, round, hints: hintStatus(session) });
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : t("coach.failed") });
+  } finally {
+    turnsInFlight.delete(session_id);
+  }
+});
+
+/* ------------------------ Student-vs-student rooms ----------------------- */
+// A teacher opens a room on a topic (see lib/rooms.js); two students, or two
+// teams of up to TEAM_SIZE, join with its code as PRO and CON. The AI is the
+// moderator: every turn goes through the same moderation, on-topic and rubric
+// checks as a debate against the AI, gets a short moderator comment, and the
+// last turn is followed by a judge's verdict. Both browsers follow along over
+// Server-Sent Events (GET /api/rooms/:code/events).
+//
+// The debate is one session with settings.mode = "pvp". Each turn records its
+// `speaker` ("pro" | "con") and speaker_name; student_text is what was said and
+// ai_reply_text the moderator's comment. PRO speaks first in every round;
+// state.speaking says whose turn it is and state.participants who took part.
+const roomStore = createRoomStore();
+
+// Each member has their own token (X-Room-Token header, or ?token= for events)
+const roomToken = (room, member) => sessionToken(sessionSecret(), `room:${room.id}:${member.id}`);
+// The member a token belongs to, as { side, member } (null if none)
+function roomMember(room, token) {
+  for (const side of ROOM_SIDES) {
+    const member = room.sides[side].find(m => checkSessionToken(sessionSecret(), `room:${room.id}:${m.id}`, token));
+    if (member) return { side, member };
+  }
+  return null;
+}
+// Language for errors about a room code we don't have: the page's (body or ?locale=)
+function requestLocale(req) {
+  const id = req.body?.locale ?? req.query?.locale;
+  return isLocale(id) ? id : DEFAULT_LOCALE;
+}
+const ownsRoom = (user, room) => Boolean(user && (user.role === 'admin' || room.owner_id === user.id));
+
+const memberName = m => `${m.first_name} ${m.last_initial}.`;
+const sideLabel = side => side.toUpperCase();
+
+// Average rubric quality of each side's ok turns (null before a side has spoken)
+function sideQuality(session) {
+  const quality = {};
+  for (const side of ROOM_SIDES) {
+    const q = session.turns.filter(t => t.status === "ok" && t.speaker === side).map(t => t.rubric_quality);
+    quality[side] = q.length ? +(q.reduce((a, b) => a + b, 0) / q.length).toFixed(3) : null;
+  }
+  return quality;
+}
+
+// What both browsers (and the teacher watching) see
+function roomView(room) {
+  const { topic, difficulty, format_id, max_rounds } = room.settings;
+  const view = {
+    code: room.code,
+    status: room.status,
+    topic,
+    difficulty,
+    locale: room.settings.locale || DEFAULT_LOCALE,
+    format: formatCatalog.get(format_id)?.name || null,
+    max_rounds,
+    sides: Object.fromEntries(ROOM_SIDES.map(side => [side, room.sides[side].map(memberName)]))
+  };
+  const session = room.session_id ? loadSession(room.session_id) : null;
+  if (!session) return view;
+
+  const last = session.state.hud_history[session.state.hud_history.length - 1];
+  const phase = phaseInfo(session, Math.min(session.state.round, session.settings.max_rounds));
+  return {
+    ...view,
+    session_id: session.session_id,
+    max_rounds: session.settings.max_rounds,
+    round: session.state.round,
+    speaking: session.state.finished ? null : session.state.speaking,
+    phase: { ...phase, name: phaseName(session, phase.id) },     // name null for one-phase formats
+    hud: last ? { meter: last.meter, leader: last.leader } : null,
+    strikes: Object.fromEntries(ROOM_SIDES.map(side => [side, strikeState(session, side).active])),
+    strike_threshold: STRIKE_POLICY.threshold,
+    turns: session.turns.filter(t => t.status === "ok").map(t => ({
+      round: t.round,
+      speaker: t.speaker,
+      speaker_name: t.speaker_name || null,
+      text: t.student_text,
+      comment: t.ai_reply_text,
+      phase: phaseName(session, t.phase),
+      quality: t.rubric_quality
+    })),
+    finished: Boolean(session.state.finished),
+    verdict: session.state.verdict || null
+  };
+}
+
+const broadcastRoom = room => roomStore.broadcast(room.code, "state", roomView(room));
+
+// Both sides are in: create the session record. The first PRO student is the
+// session's `student`; everyone is listed in state.participants.
+function startRoomDebate(room) {
+  const { topic, topic_id, difficulty, format_id, max_rounds, class_id, class_name, locale } = room.settings;
+  const first = room.sides.pro[0];
+  const student = { first_name: first.first_name, last_initial: first.last_initial, grade: first.grade };
+  const format = formatCatalog.snapshot(format_id, max_rounds);
+  const session = {
+    session_id: `${makeSessionBase(student, { topic })}_${crypto.randomBytes(2).toString('hex')}`,
+    start_ts: new Date().toISOString(),
+    student,
+    settings: {
+      mode: "pvp", difficulty, topic, topic_id, side: "pro", locale, room_code: room.code, owner_id: room.owner_id,
+      ...(class_id ? { class_id, class_name } : {}),
+      format, max_rounds: totalRounds(format)
+    },
+    state: {
+      round: 1, speaking: "pro", finished: false, hud_history: [],
+      strikes: { active: 0, total: 0, clean_streak: 0 },
+      participants: room.sides
+    },
+    turns: []
+  };
+  sessionStore.createSession(session);
+  room.session_id = session.session_id;
+  room.status = "active";
+}
+
+// Validate a room turn. Returns { session } or { status, error }.
+function checkRoomTurn(room, side, message) {
+  const t = translator(room.settings.locale);
+  if (room.status === "waiting") return { status: 409, error: t("room.waiting") };
+  const session = loadSession(room.session_id);
+  if (!session) return { status: 404, error: 'Session not found' };
+  if (session.state.finished) return { status: 409, error: t("error.finished") };
+  if (turnsInFlight.has(session.session_id)) return { status: 409, error: t("room.scoring") };
+  if (session.state.speaking !== side) return { status: 409, error: t("room.not_your_turn", { side: sideLabel(session.state.speaking) }) };
+  if (!message) return { status: 400, error: t("room.missing_message") };
+
+  const maxWords = wordLimit(session, session.state.round);
+  if (wordCount(message) > maxWords) return { status: 400, error: t("error.too_long", { max: maxWords }) };
+  return { session };
+}
+
+function fallbackModeratorComment(t, side, next, lastTurn) {
+  if (lastTurn) return t("room.thanks_last", { side: sideLabel(side) });
+  return t("room.thanks_next", { side: sideLabel(side), next: sideLabel(next) });
+}
+
+// The judge's verdict once every round is played: { winner, reasons, source, quality }
+async function judgeRoomDebate(session) {
+  const locale = localeOf(session);
+  const t = translator(locale);
+  const quality = sideQuality(session);
+  const transcript = session.turns
+    .filter(t => t.status === "ok")
+    .map(t => `Round ${t.round} — ${sideLabel(t.speaker)}: "${clip(t.student_text, MEMORY.turnChars)}"`)
+    .join("\n");
+  const prompt = `
+You are judging a school debate between two middle-school students.
+The statement was: "${session.settings.topic}". PRO argued for it, CON argued against it.
+Decide which side argued better using the rubric (clear claim, reasoning, evidence,
+rebuttal of the other side, respect) — NOT which side you agree with.
+
+Output ONLY JSON:
+{ "winner": "pro"|"con"|"tied", "reasons": ["string (max 3 short, kind reasons)"] }
+
+Debate:
+${transcript}${languageInstruction(locale)}`;
+
+  try {
+    const out = await llm.complete({ task: "judge", input: prompt, context: { topic: session.settings.topic, quality, locale } });
+    const data = parseJsonBlock(out);
+    const reasons = Array.isArray(data?.reasons)
+      ? data.reasons.map(r => clip(String(r), 200)).filter(r => r && moderator.check(r, { locale }).action === "allow").slice(0, 3)
+      : [];
+    if (["pro", "con", "tied"].includes(data?.winner) && reasons.length) {
+      return { winner: data.winner, reasons, source: "model", quality };
     }
+  } catch (err) {
+    console.error(err);
+  }
+  const { leader } = sideMeter(quality.pro ?? 0, quality.con ?? 0);
+  return {
+    winner: leader,
+    reasons: [leader === "tied" ? t("room.judge_tied") : t("room.judge_leader", { side: sideLabel(leader) })],
+    source: "fallback",
+    quality
+  };
+}
+
+// One turn by `side`: moderation, moderator comment and scoring, then the
+// turn order moves on. Returns the JSON for the speaker only (tips, hints and
+// support messages aren't shown to the other side).
+async function runRoomTurn(room, session, side, message, member) {
+  const round = session.state.round;
+  const maxRounds = session.settings.max_rounds;
+  const phase = phaseFor(sessionFormat(session), round);
+  const next = otherSide(side);
+  const lastTurn = side === "con" && round >= maxRounds;
+  const locale = localeOf(session);
+  const t = translator(locale);
+  const t0 = Date.now();
+  const base = { round, speaker: side, speaker_name: member ? memberName(member) : null, student_text: message };
+
+  const mod = moderator.check(message, { locale });
+  if (mod.action === "support") {
+    const alert = alertStore.create({
+      category: mod.category,
+      term: mod.term,
+      session_id: session.session_id,
+      round,
+      student: member || session.student,
+      excerpt: message
+    });
+    console.warn(`⚠️ Safety alert ${alert.id} raised in room ${room.code} (round ${round})`);
+    const support = supportFor(locale);
+    recordTurn(session, { ...base, ai_reply_text: support.message, status: "support", category: mod.category,
+      moderation: moderationLog(mod), alert_id: alert.id });
+    saveSession(session);
+    return { support: true, category: mod.category, message: support.message, resources: support.resources, round };
+  }
 
-    // Outcome
-    if (score > 0.52) data.outcome = "ai";
-    else if (score < 0.48) data.outcome = "student";
-    else data.outcome = "mixed";
-
-    // HUD
-    const meter = Math.round(score * 100);
-    let leader = "tied";
-    if (meter > 52) leader = "ai";
-    else if (meter < 48) leader = "student";
-
-    const label = leader === "ai"
-      ? (meter >= 80 ? "AI far ahead"
-        : meter >= 65 ? "AI clearly ahead"
-        : "AI slightly ahead")
-      : leader === "student"
-        ? (meter <= 20 ? "Student far ahead"
-          : meter <= 35 ? "Student clearly ahead"
-          : "Student slightly ahead")
-        : "Neck and neck";
-
-    data.score     = score;
-    data.round     = round;
-    data.nextRound = round + 1;
-    data.endDebate = data.nextRound > 5;
-    if (!data.reply) {
-      data.reply = "Thanks! I see your point—here’s one idea to consider on this topic.";
+  if (mod.action === "block") {
+    const endDebate = addStrike(session, STRIKE_POLICY, side);
+    const strikes = { active: strikeState(session, side).active, threshold: STRIKE_POLICY.threshold };
+    const instructions = endDebate ? t("block.stop") : blockMessage(t, mod.category, strikes);
+    recordTurn(session, { ...base, ai_reply_text: instructions, status: "violation", category: mod.category,
+      moderation: moderationLog(mod) });
+    if (endDebate) {
+      session.state.verdict = {
+        winner: next,
+        reasons: [t("room.stopped_reason", { side: sideLabel(side), threshold: strikes.threshold })],
+        source: "rules",
+        quality: sideQuality(session)
+      };
+      finalizeSession(session, next);
+      room.status = "finished";
     }
-    data.hud = { meter, leader, label, difficulty };
-    if (hint) data.hint = hint;
+    saveSession(session);
+    roomStore.broadcast(room.code, "notice", {
+      text: endDebate
+        ? t("room.stopped_notice", { side: sideLabel(side), threshold: strikes.threshold })
+        : t("room.blocked_notice", { side: sideLabel(side), ...strikes })
+    });
+    return { violation: true, category: mod.category, tier: mod.tier, endDebate, allowRetry: !endDebate,
+      instructions, round, strikes };
+  }
+  recordCleanTurn(session, STRIKE_POLICY, side);
+
+  // On-topic check against the debate so far (both sides); English only, as in runDebateTurn
+  const topicRecord = sessionTopic(session);
+  const said = historyTurns(session);
+  const relevance = topicRecord && locale === DEFAULT_LOCALE ? scoreRelevance(message, topicRecord, said.slice(-3).map(t => t.student_text)) : null;
+  const hint = relevanceHint(relevance, topicRecord, side);
+  const opponentLast = [...said].reverse().find(t => t.speaker === next)?.student_text || "";
+
+  const recent = said.slice(-4)
+    .map(t => `Round ${t.round} — ${sideLabel(t.speaker)}: "${clip(t.student_text, MEMORY.turnChars)}"`)
+    .join("\n");
+  const prompt = `
+You are the moderator of a school debate between two middle-school students.
+The statement is: "${session.settings.topic}". PRO argues for it, CON argues against it.
+Round ${round} of ${maxRounds}${phase.ai_instructions ? ` — ${phase.name}` : ""}.
+${recent ? `Debate so far:\n${recent}\n` : ""}
+1) Write a short, neutral moderator comment (under 40 words): name ${sideLabel(side)}'s main point in a few words,
+   then ${lastTurn ? "thank both sides, because this was the last turn" : `invite ${sideLabel(next)} to respond`}.
+   Never say which side is right. Be kind and age-appropriate.
+2) Score ONLY ${sideLabel(side)}'s latest message, 0-4 each (0 = missing, 2 = okay, 4 = excellent for a middle schooler):
+- claim: one clear position on the topic
+- reasoning: explains why (because / so / this means)
+- evidence: examples, facts, numbers or experiences
+- rebuttal: answers the other side's last point${round === 1 || !phase.rebuttal ? " (this round: use null)" : ""}
+- respect: kind, school-appropriate language
+
+Output ONLY JSON with these keys:
+{
+  "comment": "string",
+  "rubric": { "claim": number, "reasoning": number, "evidence": number, "rebuttal": number|null, "respect": number }
+}
 
-    res.json(data);
+${sideLabel(side)} said: """${message}"""${languageInstruction(locale)}`;
 
+  let data = null;
+  try {
+    const out = await llm.complete({
+      task: "moderate",
+      input: prompt,
+      context: { message, topic: session.settings.topic, speaker: side, next, round, phase: phase.id, last: lastTurn, locale }
+    });
+    data = parseJsonBlock(out);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error:"Failed to get AI response." });
+  }
+
+  const rubricContext = { round, rebuttal: phase.rebuttal, moderationAction: mod.action, relevanceLevel: relevance?.level, prevAiReply: opponentLast, locale };
+  const modelRubric = normalizeRubric(data?.rubric, rubricContext);
+  const rubric = modelRubric || scoreRubricOffline(message, rubricContext);
+  const quality = rubricQuality(rubric);
+
+  let comment = typeof data?.comment === "string" ? clip(data.comment, 300) : "";
+  const commentMod = comment ? moderator.check(comment, { locale }) : null;
+  if (!comment || commentMod.action !== "allow") comment = fallbackModeratorComment(t, side, next, lastTurn);
+
+  recordTurn(session, {
+    ...base,
+    ai_reply_text: comment,
+    latency_ms: Date.now() - t0,
+    status: "ok",
+    category: mod.flagged ? mod.category : "",
+    moderation: moderationLog(mod),
+    ai_moderation: commentMod ? moderationLog(commentMod) : null,
+    relevance: relevance?.score ?? null,
+    relevance_level: relevance?.level ?? null,
+    rubric,
+    rubric_quality: quality,
+    rubric_source: modelRubric ? "model" : "fallback"
+  });
+
+  // The meter compares the two sides' averages so far (50 until both have spoken)
+  const bySide = sideQuality(session);
+  const { meter, leader } = bySide.pro === null || bySide.con === null
+    ? { meter: 50, leader: "tied" }
+    : sideMeter(bySide.pro, bySide.con);
+  const turn = session.turns[session.turns.length - 1];
+  turn.hud_meter = meter;
+  turn.hud_leader = leader;
+  session.state.hud_history.push({ round, meter, leader });
+
+  if (side === "pro") {
+    session.state.speaking = "con";
+  } else {
+    session.state.round = round + 1;
+    session.state.speaking = "pro";
+  }
+  if (lastTurn) {
+    session.state.verdict = await judgeRoomDebate(session);
+    finalizeSession(session, session.state.verdict.winner);
+    room.status = "finished";
+  }
+  saveSession(session);
+
+  const result = {
+    round,
+    comment,
+    endDebate: lastTurn,
+    hud: { meter, leader },
+    rubric: { criteria: rubricCriteria(rubric, t.raw("rubric")), quality, tip: rubricTip(rubric, t.raw("rubric")), source: turn.rubric_source }
+  };
+  if (hint) result.hint = hint;
+  if (mod.action === "warn") result.warning = t("warn");
+  if (relevance) result.relevance = { score: relevance.score, level: relevance.level };
+  if (lastTurn) result.verdict = session.state.verdict;
+  return result;
+}
+
+// Topic, difficulty, format, rounds and language for a debate a teacher sets up
+// (rooms, demos). Returns { settings } or { error }. Adaptive isn't offered:
+// there is no single student for it to follow.
+function checkDebateSetup(body = {}) {
+  const { topic_id, difficulty = "Normal", format_id = DEFAULT_FORMAT_ID, locale = DEFAULT_LOCALE } = body;
+  const topic = topicStore.get(topic_id);
+  if (!topic || !topic.enabled) return { error: 'Unknown topic' };
+  if (!WORD_LIMITS[difficulty]) return { error: 'Unknown difficulty' };
+  if (!isLocale(locale)) return { error: 'Unknown language' };
+  const format = formatCatalog.get(format_id);
+  if (!format) return { error: 'Unknown format' };
+
+  const raw = body.max_rounds;
+  const max_rounds = raw === undefined || raw === "" || raw === null ? ROUND_LIMITS.default : Number(raw);
+  if (!Number.isInteger(max_rounds) || max_rounds < ROUND_LIMITS.min || max_rounds > ROUND_LIMITS.max) {
+    return { error: `max_rounds must be a whole number from ${ROUND_LIMITS.min} to ${ROUND_LIMITS.max}` };
+  }
+  return {
+    settings: { topic: topic.title, topic_id: topic.id, difficulty, format_id: format.id, max_rounds: formatRounds(format, max_rounds), locale }
+  };
+}
+
+// Teacher: open a room. Body: { topic_id, difficulty, format_id, max_rounds, class_id, locale }.
+// With a class_id only students on that class's roster can join.
+app.post('/api/rooms', requireStaff, (req, res) => {
+  const { settings, error } = checkDebateSetup(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  let cls = null;
+  if (req.body.class_id) {
+    cls = classStore.get(req.body.class_id);
+    if (!ownsClass(req.user, cls)) return res.status(404).json({ error: 'Class not found' });
+  }
+
+  const room = roomStore.create({
+    owner_id: req.user.id,
+    settings: { ...settings, class_id: cls?.id || null, class_name: cls?.name || null }
+  });
+  res.status(201).json({ room: roomView(room) });
+});
+
+app.get('/api/rooms', requireStaff, (req, res) => {
+  res.json({ rooms: roomStore.list().filter(r => ownsRoom(req.user, r)).map(roomView) });
+});
+
+// Teacher closes a room; a debate still going is finished with the scores so far
+app.delete('/api/rooms/:code', requireStaff, (req, res) => {
+  const room = roomStore.get(req.params.code);
+  if (!room || !ownsRoom(req.user, room)) return res.status(404).json({ error: 'Room not found' });
+
+  const session = room.session_id ? loadSession(room.session_id) : null;
+  if (session && !session.state.finished) {
+    finalizeSession(session);
+    saveSession(session);
+  }
+  room.status = "finished";
+  roomStore.broadcast(room.code, "notice", { text: translator(room.settings.locale)("room.closed") });
+  broadcastRoom(room);
+  roomStore.remove(room.code);
+  res.json({ ok: true });
+});
+
+// roomStore.join() error codes in words
+function joinError(t, { error, name, side }) {
+  if (error === "already_joined") return t("room.already_joined", { name });
+  if (error === "team_full") return t("room.team_full", { side: sideLabel(side), size: TEAM_SIZE });
+  return t("error.finished");
+}
+
+// Student joins. Body: { first_name, last_initial, grade, side?, token?, locale? }. Returns
+// the member's own token (send it back as `token` to rejoin; a name already in
+// the room without it is refused); the debate starts as soon as both sides have someone.
+app.post('/api/rooms/:code/join', (req, res) => {
+  const room = roomStore.get(req.params.code);
+  if (!room) return res.status(404).json({ error: translator(requestLocale(req))("room.unknown") });
+  const t = translator(room.settings.locale);
+
+  const first_name = (req.body?.first_name || "").toString().trim().slice(0, 40);
+  const last_initial = (req.body?.last_initial || "").toString().trim().slice(0, 1).toUpperCase();
+  const grade = (req.body?.grade ?? "").toString().trim().slice(0, 20);
+  if (!first_name || !last_initial) return res.status(400).json({ error: t("room.name_required") });
+
+  // A member who has joined before gets their seat back with their token
+  const seated = roomMember(room, req.body?.token);
+  if (seated) {
+    const { side, member } = seated;
+    return res.json({ side, token: roomToken(room, member), name: memberName(member), room: roomView(room) });
+  }
+
+  const member = { first_name, last_initial, grade, roster_id: null };
+  if (room.settings.class_id) {
+    const cls = classStore.get(room.settings.class_id);
+    const entry = cls && rosterEntry(cls, member);
+    if (!entry) return res.status(403).json({ error: cls ? rosterError(cls, room.settings.locale) : t("error.unknown_class") });
+    member.roster_id = entry.id;
+  }
+
+  const result = roomStore.join(room, member, req.body?.side);
+  if (result.error) return res.status(409).json({ error: joinError(t, result) });
+  const { side, member: joined } = result;
+
+  if (room.status === "waiting" && ROOM_SIDES.every(s => room.sides[s].length)) {
+    startRoomDebate(room);
+  } else if (room.session_id) {
+    const session = loadSession(room.session_id);
+    if (session && !session.state.finished) {
+      session.state.participants = room.sides;
+      saveSession(session);
+    }
+  }
+  broadcastRoom(room);
+
+  res.json({ side, token: roomToken(room, joined), name: memberName(joined), room: roomView(room) });
+});
+
+// Live room state as Server-Sent Events:
+//   event: state   data: roomView(room) – after every join and turn
+//   event: notice  data: { text }       – blocked turns, room closed
+// Students pass their own token as ?token=; the teacher who opened the room
+// can watch with their login.
+app.get('/api/rooms/:code/events', (req, res) => {
+  const room = roomStore.get(req.params.code);
+  if (!room) return res.status(404).json({ error: translator(requestLocale(req))("room.unknown") });
+  if (!roomMember(room, req.query.token) && !ownsRoom(req.user, room)) {
+    return res.status(403).json({ error: translator(room.settings.locale)("room.not_member") });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, payload) => res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  const unsubscribe = roomStore.subscribe(room.code, send);
+  send("state", roomView(room));
+
+  // Comment lines keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// A turn by the member whose token is in X-Room-Token, for their side. Body: { message }
+app.post('/api/rooms/:code/turn', async (req, res) => {
+  const room = roomStore.get(req.params.code);
+  if (!room) return res.status(404).json({ error: translator(requestLocale(req))("room.unknown") });
+  const seated = roomMember(room, req.get('X-Room-Token'));
+  if (!seated) return res.status(403).json({ error: translator(room.settings.locale)("room.not_member") });
+  const { side, member } = seated;
+
+  const message = (req.body?.message || "").toString().trim();
+  const check = checkRoomTurn(room, side, message);
+  if (check.error) return res.status(check.status).json({ error: check.error });
+
+  const { session } = check;
+  turnsInFlight.add(session.session_id);
+  try {
+    res.json(await runRoomTurn(room, session, side, message, member));
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : translator(localeOf(session))("room.failed") });
+  } finally {
+    turnsInFlight.delete(session.session_id);
+    broadcastRoom(room);
+  }
+});
+
+/* ------------------------- AI-vs-AI demo debates ------------------------ */
+// Model debates a teacher can project before students try it themselves. Two
+// AI personas argue at the chosen difficulty: a PRO persona writes the
+// "student" argument each round in the difficulty's DEBATE_PROFILES tone, and
+// the usual debate turn (runDebateTurn) has the AI answer as CON and score PRO
+// on the rubric, so the HUD moves exactly as it would for a student.
+//
+// A demo is a session with settings.mode = "demo", advanced one round per
+// POST /api/demos/:id/step (the page's play/pause/step controls), and can be
+// replayed from GET /api/demos/:id at any time.
+const DEMO_STUDENT = { first_name: "Demo", last_initial: "", grade: "" };
+
+// Demo sessions the logged-in teacher/admin may see
+function findDemo(user, id) {
+  const session = loadSession(id);
+  return session && session.settings.mode === "demo" && canSeeSession(user, session) ? session : null;
+}
+
+// Safe stand-in for a PRO argument that is missing or fails moderation.
+// Talking points are English, so other languages use the generic point.
+function fallbackArgument(topicRecord, round, locale = DEFAULT_LOCALE) {
+  const t = translator(locale);
+  const points = locale === DEFAULT_LOCALE ? topicRecord?.talking_points?.pro || [] : [];
+  const point = points.length
+    ? points[(round - 1) % points.length].replace(/[.!?]+$/, "").replace(/^\w/, c => c.toLowerCase())
+    : t("demo.point");
+  return t("demo.argument", { topic: topicRecord?.title || t("demo.this_idea"), point });
+}
+
+// The PRO persona's argument for the current round
+async function demoArgument(session) {
+  const round = session.state.round;
+  const { topic, difficulty } = session.settings;
+  const locale = localeOf(session);
+  const phase = phaseFor(sessionFormat(session), round);
+  const topicRecord = sessionTopic(session);
+  const maxWords = wordLimit(session, round);
+  const { tone } = DEBATE_PROFILES[difficulty] || DEBATE_PROFILES.Normal;
+  const history = await buildDebateHistory(session);
+  const points = topicRecord?.talking_points?.pro || [];
+
+  const prompt = `
+You are the PRO debater in a model debate shown to a middle-school class.
+The statement is: "${topic}". You argue FOR it; another debater argues against it.
+Model good debating: one clear claim, a reason (because / so), a concrete example,
+and${round === 1 || !phase.rebuttal ? "" : " first answer the other side's last point, then"} add your own.
+${tone}
+Keep it under ${maxWords} words.
+${points.length ? `Ideas you can draw on:\n${points.map(p => `- ${p}`).join("\n")}\n` : ""}${phase.student_prompt ? `This round: ${phase.student_prompt}\n` : ""}${history.text ? `Debate so far (in it, "Student" is you and "You" is the other debater):\n${history.text}\n` : ""}
+Round ${round} of ${session.settings.max_rounds}.
+Output ONLY JSON: { "argument": "string" }${languageInstruction(locale)}`;
+
+  let argument = "";
+  try {
+    const out = await llm.complete({
+      task: "argue",
+      input: prompt,
+      context: { topic, side: "pro", round, difficulty, phase: phase.id, points, locale }
+    });
+    argument = (parseJsonBlock(out)?.argument || "").toString().replace(/\s+/g, " ").trim();
+  } catch (err) {
+    console.error(err);
+  }
+  // Over-long arguments are cut at the word limit, like a student would have to
+  const words = argument.split(" ");
+  if (words.length > maxWords) argument = `${words.slice(0, maxWords).join(" ").replace(/[,;:]$/, "")}…`;
+
+  const source = argument && moderator.check(argument, { locale }).action === "allow" ? "model" : "fallback";
+  return { argument: source === "model" ? argument : fallbackArgument(topicRecord, round, locale), source };
+}
+
+// Saved rounds in the shape the demo page plays back
+function demoRounds(session) {
+  const tr = translator(localeOf(session));
+  const names = { student: "PRO", ai: "CON" };
+  return session.turns.filter(t => t.status === "ok").map(t => ({
+    round: t.round,
+    phase: phaseName(session, t.phase),
+    argument: t.student_text,
+    reply: t.ai_reply_text,
+    hud: { meter: t.hud_meter, leader: t.hud_leader, label: meterLabel(t.hud_meter, t.hud_leader, tr, names) },
+    rubric: t.rubric
+      ? { criteria: rubricCriteria(t.rubric, tr.raw("rubric")), quality: t.rubric_quality, tip: rubricTip(t.rubric, tr.raw("rubric")) }
+      : null
+  }));
+}
+
+function demoView(session) {
+  const { topic, topic_id, difficulty, max_rounds } = session.settings;
+  const next = session.state.finished ? null : phaseInfo(session, session.state.round);
+  return {
+    session_id: session.session_id,
+    start_ts: session.start_ts,
+    topic, topic_id, difficulty, max_rounds,
+    locale: localeOf(session),
+    format: sessionFormat(session).name,
+    finished: Boolean(session.state.finished),
+    round: session.state.round,
+    next_phase: next && { ...next, name: phaseName(session, next.id) },   // name null for one-phase formats
+    summary: session.state.finished ? session.summary : null,
+    rounds: demoRounds(session)
+  };
+}
+
+// Teacher: set up a demo. Body: { topic_id, difficulty, format_id, max_rounds, locale }.
+app.post('/api/demos', requireStaff, (req, res) => {
+  const { settings, error } = checkDebateSetup(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  const format = formatCatalog.snapshot(settings.format_id, settings.max_rounds);
+  const session = {
+    session_id: `Demo_${safeName(settings.topic)}_${new Date().toISOString().slice(0, 10)}_${crypto.randomBytes(2).toString('hex')}`,
+    start_ts: new Date().toISOString(),
+    student: DEMO_STUDENT,
+    settings: {
+      mode: "demo", difficulty: settings.difficulty, topic: settings.topic, topic_id: settings.topic_id,
+      side: "pro", locale: settings.locale, owner_id: req.user.id, format, max_rounds: totalRounds(format)
+    },
+    state: { round: 1, finished: false, hud_history: [], strikes: { active: 0, total: 0, clean_streak: 0 } },
+    turns: []
+  };
+  sessionStore.createSession(session);
+  res.status(201).json({ demo: demoView(session) });
+});
+
+app.get('/api/demos', requireStaff, (req, res) => {
+  const demos = listSessions(req.user)
+    .filter(d => d.settings.mode === "demo")
+    .map(d => {
+      const { rounds, ...view } = demoView(d);
+      return { ...view, rounds_played: rounds.length };
+    });
+  res.json({ demos });
+});
+
+app.get('/api/demos/:id', requireStaff, (req, res) => {
+  const session = findDemo(req.user, req.params.id);
+  if (!session) return res.status(404).json({ error: 'Demo not found' });
+  res.json({ demo: demoView(session) });
+});
+
+// Play the next round: the PRO persona argues, the AI answers as CON and scores
+// it. Returns the whole demo so the page plays saved and new rounds the same way.
+app.post('/api/demos/:id/step', requireStaff, async (req, res) => {
+  const session = findDemo(req.user, req.params.id);
+  if (!session) return res.status(404).json({ error: 'Demo not found' });
+  const t = translator(localeOf(session));
+  if (session.state.finished) return res.status(409).json({ error: t("demo.finished") });
+  if (turnsInFlight.has(session.session_id)) return res.status(409).json({ error: t("demo.in_flight") });
+
+  turnsInFlight.add(session.session_id);
+  try {
+    const { argument, source } = await demoArgument(session);
+    await runDebateTurn(session, argument);
+    res.json({ demo: demoView(session), argument_source: source });
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : t("demo.failed") });
+  } finally {
+    turnsInFlight.delete(session.session_id);
   }
 });
 
 /* ------------------------------- Start server ---------------------------- */
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`✅ Server running → http://localhost:${PORT}`));
+app.listen(PORT, () => {
+  console.log(`✅ Server running → http://localhost:${PORT}`);
+  console.log(`🧠 LLM provider: ${llm.name} (${llm.model})`);
+});